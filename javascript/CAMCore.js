@@ -242,6 +242,11 @@
 //         An enumerated type of line caps, used by some of the
 //         drawing tools.
 //
+//     topology:
+//
+//         An enumerated type of edge topologies, that control how
+//         wrapCells fills the gutter around the edges of the cells.
+//
 //     playMode:
 //
 //         An enumerated type of script playback modes.
@@ -272,7 +277,7 @@
 //   extra edge cells before applying rule, so the inner loop does not
 //   have to check for edge conditions to wrap the cells, and other
 //   edge treatmens can be applied besides wrapping, like clamping or
-//   reflecting.
+//   reflecting. The topologySymbol param selects the edge treatment.
 //
 //   Index table lookup based rules, that allow you to define rules in
 //   JavaScript in terms of their neighbors, which are then applied to
@@ -435,7 +440,8 @@
 
         }
 
-        if (navigator.userAgent.indexOf('Chrome') != -1) {
+        if ((typeof navigator == 'undefined') ||
+            (navigator.userAgent.indexOf('Chrome') != -1)) {
             console.log.apply(console, args);
         } else {
             console.log(args.join(' '));
@@ -520,6 +526,204 @@
     }
 
 
+    // _xmlEntities maps the predefined XML entities to characters.
+    var _xmlEntities = {
+        amp: '&',
+        lt: '<',
+        gt: '>',
+        quot: '"',
+        apos: "'"
+    };
+
+
+    // _decodeXMLEntities replaces the XML entities in an attribute
+    // value with the characters they stand for.
+    function _decodeXMLEntities(text) {
+        return text.replace(
+            /&(amp|lt|gt|quot|apos|#[0-9]+|#x[0-9a-fA-F]+);/g,
+            function(match, entity) {
+                if (entity.charAt(0) != '#') {
+                    return _xmlEntities[entity];
+                }
+                return String.fromCharCode(
+                    (entity.charAt(1) == 'x')
+                        ? parseInt(entity.slice(2), 16)
+                        : parseInt(entity.slice(1), 10));
+            });
+    }
+
+
+    // parseTemplateXML parses the XML that compileTemplate and
+    // compileNeighborhoodFunction make out of code templates, and
+    // returns the root element, or null if the XML is malformed.
+    // It only supports what the templates need: elements with
+    // attributes, and CDATA sections. The nodes it makes have the
+    // subset of the DOM interface that expandTemplate uses (nodeType,
+    // nodeName, attributes, getAttribute, firstChild, nextSibling and
+    // textContent), so templates can be compiled without a browser
+    // DOMParser, and the engine can run headless.
+    function parseTemplateXML(xml) {
+
+        function getAttribute(name) {
+            for (var i = 0, n = this.attributes.length;
+                 i < n;
+                 i++) {
+                if (this.attributes[i].name == name) {
+                    return this.attributes[i].value;
+                }
+            }
+            return null;
+        }
+
+        function appendChild(parent, node) {
+            if (parent.lastChild) {
+                parent.lastChild.nextSibling = node;
+            } else {
+                parent.firstChild = node;
+            }
+            parent.lastChild = node;
+        }
+
+        var root = null;
+        var stack = [];
+        var index = 0;
+        var length = xml.length;
+        var tagPattern = /^<([A-Za-z_][\w\-]*)((?:\s+[A-Za-z_][\w\-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/;
+        var attributePattern = /([A-Za-z_][\w\-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+        while (index < length) {
+
+            var parent = stack.length ? stack[stack.length - 1] : null;
+
+            if (xml.substr(index, 9) == '<![CDATA[') {
+
+                var end = xml.indexOf(']]>', index + 9);
+                if ((end < 0) || !parent) {
+                    ERROR('parseTemplateXML: bad CDATA section!', ['index', index]);
+                    return null;
+                }
+
+                appendChild(parent, {
+                    nodeType: 4,
+                    nodeName: '#cdata-section',
+                    textContent: xml.slice(index + 9, end),
+                    nextSibling: null
+                });
+
+                index = end + 3;
+
+            } else if (xml.substr(index, 2) == '</') {
+
+                var end = xml.indexOf('>', index);
+                var name = (end < 0) ? null : xml.slice(index + 2, end).replace(/\s+$/, '');
+                if (!parent ||
+                    (parent.nodeName != name)) {
+                    ERROR('parseTemplateXML: mismatched end tag!', ['name', name, 'expected', parent && parent.nodeName]);
+                    return null;
+                }
+
+                stack.pop();
+                index = end + 1;
+
+            } else if (xml.charAt(index) == '<') {
+
+                var match = tagPattern.exec(xml.slice(index));
+                if (!match ||
+                    (!parent && root)) {
+                    ERROR('parseTemplateXML: bad start tag!', ['index', index, 'text', xml.substr(index, 40)]);
+                    return null;
+                }
+
+                var attributes = [];
+                var attributeMatch;
+                attributePattern.lastIndex = 0;
+                while ((attributeMatch = attributePattern.exec(match[2])) !== null) {
+                    attributes.push({
+                        name: attributeMatch[1],
+                        value: _decodeXMLEntities(
+                            (attributeMatch[2] !== undefined)
+                                ? attributeMatch[2]
+                                : attributeMatch[3])
+                    });
+                }
+
+                var element = {
+                    nodeType: 1,
+                    nodeName: match[1],
+                    attributes: attributes,
+                    getAttribute: getAttribute,
+                    firstChild: null,
+                    lastChild: null,
+                    nextSibling: null
+                };
+
+                if (parent) {
+                    appendChild(parent, element);
+                } else {
+                    root = element;
+                }
+
+                if (!match[3]) {
+                    stack.push(element);
+                }
+
+                index += match[0].length;
+
+            } else if (/\s/.test(xml.charAt(index))) {
+
+                // Ignore whitespace between nodes.
+                index++;
+
+            } else {
+
+                ERROR('parseTemplateXML: unexpected text outside of CDATA!', ['index', index, 'text', xml.substr(index, 40)]);
+                return null;
+
+            }
+
+        }
+
+        if (stack.length) {
+            ERROR('parseTemplateXML: unclosed element!', ['nodeName', stack[stack.length - 1].nodeName]);
+            return null;
+        }
+
+        return root;
+    }
+
+
+    // wrapCoordinate maps a cell coordinate that may be off the edge
+    // back onto the cells, according to the topology's edge mode.
+    function wrapCoordinate(coordinate, size, edge) {
+
+        if ((coordinate >= 0) &&
+            (coordinate < size)) {
+            return coordinate;
+        }
+
+        switch (edge) {
+
+            case 'reflect':
+                if (size < 2) {
+                    return 0;
+                }
+                var period = 2 * (size - 1);
+                coordinate = ((coordinate % period) + period) % period;
+                return (coordinate < size)
+                    ? coordinate
+                    : period - coordinate;
+
+            case 'clamp':
+                return Math.max(0, Math.min(size - 1, coordinate));
+
+            default:
+                return ((coordinate % size) + size) % size;
+
+        }
+
+    }
+
+
     ////////////////////////////////////////////////////////////////////////
     // Define a new type of object.
     //
@@ -945,7 +1149,9 @@
 
     // CAMCore class constructor function, called like:
     // var cam6 = new CAMCore(params};
-    window.CAMCore = function CAMCore(params) {
+    // It is exported at the end of this file, as window.CAMCore in
+    // the browser, or module.exports in Node.
+    var CAMCore = function CAMCore(params) {
 
         // This just initializes instance variables to their default
         // values and resets params.
@@ -995,6 +1201,8 @@
         toolSymbol: true,
         ruleSymbol: true,
         colorMapSymbol: true,
+        topologySymbol: true,
+        topologyBorderCell: true,
         stepsPerFrame: true,
         animationDelay: true,
         playSpeed: true,
@@ -1682,6 +1890,61 @@
                 }
             },
 
+            {
+                param: 'topologySymbol',
+                name: 'Topology',
+                description: 'This controls how the edges of the cells are connected.',
+                type: 'symbol',
+                scopes: ['cam'],
+                recordable: true,
+                widget: 'menu',
+                tab: 'simulation',
+                getValueNameFunction: function getValueNameFunction(paramMetaData, target, paramValue) {
+                    return this.topology_by_symbol[paramValue].name;
+                },
+                getValueDescriptionFunction: function getValueDescriptionFunction(paramMetaData, target, paramValue) {
+                    return this.topology_by_symbol[paramValue].description;
+                },
+                widgetValueToParamValueFunction: function widgetValueToParamValueFunction(paramMetaData, target, widgetValue) {
+                    return this.topology_objects[widgetValue].symbol;
+                },
+                paramValueToWidgetValueFunction: function paramValueToWidgetValueFunction(paramMetaData, target, paramValue) {
+                    return this.topology_by_symbol[paramValue].index;
+                },
+                getMinValueFunction: function getMinValueFunction(paramMetaData, target) {
+                    return 0;
+                },
+                getMaxValueFunction: function getMaxValueFunction(paramMetaData, target) {
+                    return this.topology_objects.length - 1;
+                }
+            },
+
+            {
+                param: 'topologyBorderCell',
+                name: 'Border Cell',
+                description: 'This controls the value of the cells beyond the edges, for the constant topology.',
+                type: 'integer',
+                scopes: ['cam'],
+                recordable: true,
+                widget: 'slider',
+                tab: 'simulation',
+                condition: function condition(paramMetaData) {
+                    return this.topology_by_symbol[this.topologySymbol].edge == 'constant';
+                },
+                getValueNameFunction: function getValueNameFunction(paramMetaData, target, paramValue) {
+                    return 'border ' + paramValue;
+                },
+                getValueDescriptionFunction: function getValueDescriptionFunction(paramMetaData, target, paramValue) {
+                    return 'The cells beyond the edges are ' + paramValue + '.';
+                },
+                getMinValueFunction: function getMinValueFunction(paramMetaData, target) {
+                    return 0;
+                },
+                getMaxValueFunction: function getMaxValueFunction(paramMetaData, target) {
+                    return 255;
+                }
+            },
+
             {
                 param: 'stepsPerFrame',
                 name: 'Steps Per Frame',
@@ -1864,6 +2127,7 @@
                 type: 'boolean',
                 scopes: ['cam', 'tool'],
                 recordable: true,
+                transient: true,
                 widget: 'checkbox',
                 condition: paramUsedByCurrentRule,
                 getValueNameFunction: function getValueNameFunction(paramMetaData, target, paramValue) {
@@ -1887,6 +2151,7 @@
                 type: 'integer',
                 scopes: ['cam', 'tool'],
                 recordable: true,
+                transient: true,
                 widget: 'slider',
                 condition: paramUsedByCurrentRule,
                 getValueNameFunction: function getValueNameFunction(paramMetaData, target, paramValue) {
@@ -1910,6 +2175,7 @@
                 type: 'integer',
                 scopes: ['cam', 'tool'],
                 recordable: true,
+                transient: true,
                 widget: 'slider',
                 condition: paramUsedByCurrentRule,
                 getValueNameFunction: function getValueNameFunction(paramMetaData, target, paramValue) {
@@ -7368,6 +7634,12 @@ dy = 0;
 
                     var ctxDraw = this.compositionOverlayContext;
 
+                    // The line is drawn with the canvas api, so it
+                    // can't be drawn headless.
+                    if (!ctxDraw) {
+                        return;
+                    }
+
                     ctxDraw.strokeStyle = '#ffffff';
                     ctxDraw.lineWidth = toolSize;
                     ctxDraw.lineCap = toolLineCap;
@@ -7400,6 +7672,50 @@ dy = 0;
         ]);
 
 
+    ////////////////////////////////////////////////////////////////////////
+    // The trackType type.
+    //
+    // A script has tracks of script dicts, which all play at once, in
+    // the same format as CAM6's scripts. Each track can be muted, and
+    // has a time offset and scale, so the script dict at step plays at
+    // step offset + (step * scale) of the script. Each track type holds
+    // script dicts of its scriptTypes.
+
+
+    defineType(
+        'trackType',
+        CAMCore.prototype,
+        null,
+        ['symbol'],
+        [
+
+            {
+                symbol: 'params',
+                name: 'Parameters',
+                description: 'Parameter changes.',
+                scriptTypes: ['params']
+            },
+            {
+                symbol: 'commands',
+                name: 'Commands',
+                description: 'Commands.',
+                scriptTypes: ['command']
+            },
+            {
+                symbol: 'tools',
+                name: 'Tools',
+                description: 'Drawing with tools.',
+                scriptTypes: ['tool', 'toolBegin', 'toolEnd']
+            },
+            {
+                symbol: 'cells',
+                name: 'Cells',
+                description: 'Snapshots of the cells.',
+                scriptTypes: ['cells']
+            }
+        ]);
+
+
     ////////////////////////////////////////////////////////////////////////
     // The command type.
 
@@ -7600,8 +7916,7 @@ dy = 0;
                 },
                 isEnabledFunction: function isEnabledFunction(commandDict) {
                     return !this.scriptPlaying &&
-                           this.scriptPlayingScript &&
-                           (this.scriptPlayingScript.length > 0);
+                           !this.isScriptEmpty(this.scriptPlayingScript);
                 },
                 commandFunction: function commandFunction(commandDict, params) {
                     this.scriptPlayStart();
@@ -7643,8 +7958,7 @@ dy = 0;
                 isEnabledFunction: function isEnabledFunction(commandDict) {
                     return !this.scriptRecording &&
                            !this.scriptPlaying &&
-                            this.scriptPlayingScript &&
-                            (this.scriptPlayingScript.length > 0);
+                           !this.isScriptEmpty(this.scriptPlayingScript);
                 },
                 commandFunction: function commandFunction(commandDict, params) {
                     this.scriptSave();
@@ -7769,6 +8083,85 @@ dy = 0;
         ]);
 
 
+    ////////////////////////////////////////////////////////////////////////
+    // The topology type.
+    //
+    // The edge key controls what happens to a coordinate that goes
+    // off one edge: 'wrap' wraps it around to the opposite edge,
+    // 'reflect' mirrors it back across the edge cell, 'clamp' sticks
+    // it to the edge cell, and 'constant' ignores it and fills the
+    // gutter with topologyBorderCell.
+    //
+    // The flipXAcrossY and flipYAcrossX keys twist the wrapped edges:
+    // flipXAcrossY flips x when wrapping across the top and bottom
+    // edges, and flipYAcrossX flips y when wrapping across the left
+    // and right edges.
+
+
+    defineType(
+        'topology',
+        CAMCore.prototype,
+        null,
+        ['symbol'],
+        [
+
+            {
+                symbol: 'torus',
+                name: 'Torus',
+                description: 'Wrap each edge around to the opposite edge.',
+                edge: 'wrap',
+                flipXAcrossY: false,
+                flipYAcrossX: false
+            },
+
+            {
+                symbol: 'constant',
+                name: 'Constant Border',
+                description: 'Surround the cells with a border of constant cells.',
+                edge: 'constant',
+                flipXAcrossY: false,
+                flipYAcrossX: false
+            },
+
+            {
+                symbol: 'reflect',
+                name: 'Reflect',
+                description: 'Mirror the cells across the edges.',
+                edge: 'reflect',
+                flipXAcrossY: false,
+                flipYAcrossX: false
+            },
+
+            {
+                symbol: 'clamp',
+                name: 'Clamp',
+                description: 'Extend the edge cells out beyond the edges.',
+                edge: 'clamp',
+                flipXAcrossY: false,
+                flipYAcrossX: false
+            },
+
+            {
+                symbol: 'kleinBottle',
+                name: 'Klein Bottle',
+                description: 'Wrap the left and right edges, and wrap the top and bottom edges flipped.',
+                edge: 'wrap',
+                flipXAcrossY: true,
+                flipYAcrossX: false
+            },
+
+            {
+                symbol: 'projectivePlane',
+                name: 'Projective Plane',
+                description: 'Wrap each edge flipped around to the opposite edge.',
+                edge: 'wrap',
+                flipXAcrossY: true,
+                flipYAcrossX: true
+            }
+
+        ]);
+
+
     ////////////////////////////////////////////////////////////////////////
     // The playMode type.
 
@@ -8131,6 +8524,7 @@ dy = 0;
         this.histogramCanvasContainer = null;
         this.histogramCanvas = null;
 
+        this.useGUI = (typeof document != 'undefined');
         this.cellWidth = 480;
         this.cellHeight = 360;
         this.cellGutter = 1;
@@ -8173,6 +8567,8 @@ dy = 0;
         this.phaseShiftStep = 4;
         this.heatShiftPollution = 2;
         this.colorMapSymbol = 'default';
+        this.topologySymbol = 'torus';
+        this.topologyBorderCell = 0;
         this.stepsPerFrame = 1;
         this.animationDelay = 100;
         this.playSpeed = 1;
@@ -8220,7 +8616,7 @@ dy = 0;
         this.scriptRecordingStartStep = null;
         this.scriptPlaying = false;
         this.scriptPlayingScript = null;
-        this.scriptPlayingIndex = null;
+        this.scriptPlayingIndexes = null;
         this.scriptPlayingStartStep = null;
         this.recordingSnapshot = false;
         this.recordingScript = false;
@@ -8246,6 +8642,10 @@ dy = 0;
     // makegGUI makes the user interface for editing the parameters.
     CAMCore.prototype.makeGUI = function makeGUI() {
 
+        if (!this.useGUI) {
+            return;
+        }
+
         this.root = document.createElement('div');
         document.body.appendChild(this.root);
 
@@ -8287,7 +8687,7 @@ dy = 0;
         var params = this.params || {};
 
         // Params configurable at startup via params.
-        this.useGUI = params.useGUI || this.useGUI;
+        this.useGUI = (params.useGUI !== undefined) ? params.useGUI : this.useGUI;
         this.cellWidth = params.cellWidth || this.cellWidth;
         this.cellHeight = params.cellHeight || this.cellHeight;
         this.cellGutter = params.cellGutter || this.cellGutter;
@@ -8327,6 +8727,8 @@ dy = 0;
         this.setValue(this, 'phaseShiftStep', params.phaseShiftStep || this.phaseShiftStep);
         this.setValue(this, 'heatShiftPollution', params.heatShiftPollution || this.heatShiftPollution);
         this.setValue(this, 'colorMapSymbol', params.colorMapSymbol || this.colorMapSymbol);
+        this.setValue(this, 'topologySymbol', params.topologySymbol || this.topologySymbol);
+        this.setValue(this, 'topologyBorderCell', params.topologyBorderCell || this.topologyBorderCell);
         this.setValue(this, 'stepsPerFrame', params.stepsPerFrame || this.stepsPerFrame);
         this.setValue(this, 'animationDelay', params.animationDelay || this.animationDelay);
         this.setValue(this, 'playSpeed', params.playSpeed || this.playSpeed);
@@ -8446,7 +8848,7 @@ console.log("show");
         var target = this; // TODO
 
         this.scriptRecording = true;
-        this.scriptRecordingScript = [];
+        this.scriptRecordingScript = this.makeScript();
         this.scriptRecordingStartStep = this.step;
 
         var recordModeDict = this.recordMode_by_symbol[this.recordModeSymbol];
@@ -8496,8 +8898,7 @@ console.log("show");
 
     // scriptPlayStart starts playing the current script.
     CAMCore.prototype.scriptPlayStart = function scriptPlayStart() {
-        if (!this.scriptPlayingScript ||
-            !this.scriptPlayingScript.length) {
+        if (this.isScriptEmpty(this.scriptPlayingScript)) {
             return;
         }
 
@@ -8506,37 +8907,91 @@ console.log("show");
             case 'forwardStop':
             case 'forwardLoop':
             case 'backAndForth':
-                this.scriptPlayingIndex = 0;
                 this.setValue(this, 'playSpeed', 1);
                 break;
 
             case 'backwardStop':
             case 'backwardLoop':
-                this.scriptPlayingIndex = this.scriptPlayingScript.length - 1;
                 this.setValue(this, 'playSpeed', -1);
                 break;
 
         }
 
-        this.scriptPlayingStartStep = this.step;
+        this.scriptPlayRewind();
         this.scriptPlaying = true;
     };
 
 
+    // scriptPlayRewind starts playing every track of the current
+    // script from the beginning, or from the end if playing backward,
+    // at the current step.
+    CAMCore.prototype.scriptPlayRewind = function scriptPlayRewind() {
+
+        var tracks = this.scriptPlayingScript.tracks;
+
+        this.scriptPlayingIndexes = [];
+
+        for (var trackIndex = 0, trackCount = tracks.length;
+             trackIndex < trackCount;
+             trackIndex++) {
+
+            this.scriptPlayingIndexes.push(
+                (this.playSpeed > 0)
+                    ? 0
+                    : (tracks[trackIndex].entries.length - 1));
+
+        }
+
+        this.scriptPlayingStartStep = this.step;
+
+    };
+
+
+    // isScriptPlayingDone returns true if every track of the current
+    // script has played to the end, or to the beginning if playing
+    // backward.
+    CAMCore.prototype.isScriptPlayingDone = function isScriptPlayingDone() {
+
+        var tracks = this.scriptPlayingScript.tracks;
+
+        for (var trackIndex = 0, trackCount = tracks.length;
+             trackIndex < trackCount;
+             trackIndex++) {
+
+            var scriptPlayingIndex = this.scriptPlayingIndexes[trackIndex];
+
+            if ((this.playSpeed > 0)
+                    ? (scriptPlayingIndex < tracks[trackIndex].entries.length)
+                    : (scriptPlayingIndex >= 0)) {
+                return false;
+            }
+
+        }
+
+        return true;
+    };
+
+
     // scriptPlayStop stops playing the current script.
     CAMCore.prototype.scriptPlayStop = function scriptPlayStop() {
         this.scriptPlaying = false;
     };
 
 
-    // playScript plays the script, if playing.
+    // playScript plays the script, if playing. Each track plays the
+    // script dicts whose time has come, even if it's muted, so it
+    // picks up where the others are when it's unmuted. Playing
+    // backward plays the script dicts from the end of the script
+    // towards the beginning, at the same times.
     CAMCore.prototype.playScript = function playScript() {
 
         if (this.paused || !this.scriptPlaying) {
             return;
         }
 
-        if (!this.scriptPlayingScript) {
+        var script = this.scriptPlayingScript;
+
+        if (!script) {
             this.scriptPlaying = false;
             return;
         }
@@ -8549,7 +9004,7 @@ console.log("show");
                     this.setValue(this, 'playSpeed', -this.playSpeed);
                 }
 
-                if (this.scriptPlayingIndex >= this.scriptPlayingScript.length) {
+                if (this.isScriptPlayingDone()) {
                     this.scriptPlaying = false;
                     return;
                 }
@@ -8562,29 +9017,17 @@ console.log("show");
                     this.setValue(this, 'playSpeed', -this.playSpeed);
                 }
 
-                if (this.scriptPlayingIndex >= this.scriptPlayingScript.length) {
-                    this.scriptPlayingIndex = 0;
-                    this.scriptPlayingStartStep = this.step;
+                if (this.isScriptPlayingDone()) {
+                    this.scriptPlayRewind();
                 }
 
                 break;
 
             case 'backAndForth':
 
-                if ((this.playSpeed > 0) &&
-                    (this.scriptPlayingIndex >= this.scriptPlayingScript.length)) {
-
-                    this.scriptPlayingIndex = this.scriptPlayingScript.length - 1;
+                if (this.isScriptPlayingDone()) {
                     this.setValue(this, 'playSpeed', -this.playSpeed);
-                    this.scriptPlayingStartStep = this.step;
-
-                } else if ((this.playSpeed < 0) &&
-                           (this.scriptPlayingIndex < 0)) {
-
-                    this.scriptPlayingIndex = 0;
-                    this.setValue(this, 'playSpeed', -this.playSpeed);
-                    this.scriptPlayingStartStep = this.step;
-
+                    this.scriptPlayRewind();
                 }
 
                 break;
@@ -8595,7 +9038,7 @@ console.log("show");
                     this.setValue(this, 'playSpeed', -this.playSpeed);
                 }
 
-                if (this.scriptPlayingIndex < 0) {
+                if (this.isScriptPlayingDone()) {
                     this.scriptPlaying = false;
                     return;
                 }
@@ -8608,68 +9051,228 @@ console.log("show");
                     this.setValue(this, 'playSpeed', -this.playSpeed);
                 }
 
-                if (this.scriptPlayingIndex < 0) {
-                    this.scriptPlayingIndex = this.scriptPlayingScript.length - 1;
-                    this.scriptPlayingStartStep = this.step;
+                if (this.isScriptPlayingDone()) {
+                    this.scriptPlayRewind();
                 }
 
                 break;
 
         }
 
+        var tracks = script.tracks;
+        var relativeStep = this.step - this.scriptPlayingStartStep;
+
         if (this.playSpeed < 0) {
+            relativeStep = this.getScriptDuration(script) - relativeStep;
+        }
 
-            while (this.scriptPlayingIndex >= 0) {
+        for (var trackIndex = 0, trackCount = tracks.length;
+             trackIndex < trackCount;
+             trackIndex++) {
 
-                var scriptDict =
-                    this.scriptPlayingScript[this.scriptPlayingIndex];
-                var scriptDictStep =
-                    scriptDict.step;
+            var track = tracks[trackIndex];
+            var entries = track.entries;
 
-                var lastScriptDict =
-                    this.scriptPlayingScript[this.scriptPlayingScript.length - 1];
-                var lastStep =
-                    lastScriptDict.step;
+            if (this.playSpeed < 0) {
 
-                var relativeStep =
-                    lastStep -
-                    (this.step - this.scriptPlayingStartStep);
+                while (this.scriptPlayingIndexes[trackIndex] >= 0) {
+
+                    var scriptDict =
+                        entries[this.scriptPlayingIndexes[trackIndex]];
+
+                    if (relativeStep > this.getScriptDictTime(track, scriptDict)) {
+                        break;
+                    }
+
+                    this.scriptPlayingIndexes[trackIndex]--;
+
+                    if (!track.mute) {
+                        this.playScriptDict(scriptDict);
+                    }
 
-                if (relativeStep > scriptDictStep) {
-                    return;
                 }
 
-                this.scriptPlayingIndex--;
+            } else {
+
+                while (this.scriptPlayingIndexes[trackIndex] < entries.length) {
+
+                    var scriptDict =
+                        entries[this.scriptPlayingIndexes[trackIndex]];
+
+                    if (relativeStep < this.getScriptDictTime(track, scriptDict)) {
+                        break;
+                    }
+
+                    this.scriptPlayingIndexes[trackIndex]++;
 
-                this.playScriptDict(scriptDict);
+                    if (!track.mute) {
+                        this.playScriptDict(scriptDict);
+                    }
+
+                }
 
             }
 
-        } else {
+        }
 
-            while (this.scriptPlayingIndex < this.scriptPlayingScript.length) {
+    };
 
-                var scriptDict =
-                    this.scriptPlayingScript[this.scriptPlayingIndex];
-                var scriptDictStep =
-                    scriptDict.step;
 
-                var relativeStep =
-                    this.step - this.scriptPlayingStartStep;
+    // makeScript makes a new script with no tracks.
+    CAMCore.prototype.makeScript = function makeScript() {
+        return {
+            tracks: []
+        };
+    };
 
-                if (relativeStep < scriptDictStep) {
-                    return;
-                }
 
-                this.scriptPlayingIndex++;
+    // makeScriptTrack makes a new empty track of a trackType.
+    CAMCore.prototype.makeScriptTrack = function makeScriptTrack(trackTypeSymbol) {
+        return {
+            trackType: trackTypeSymbol,
+            name: this.trackType_by_symbol[trackTypeSymbol].name,
+            mute: false,
+            offset: 0,
+            scale: 1,
+            entries: []
+        };
+    };
+
+
+    // getScriptTrack returns the first track of a trackType in a
+    // script, adding a new one if there isn't one.
+    CAMCore.prototype.getScriptTrack = function getScriptTrack(script, trackTypeSymbol) {
+
+        var tracks = script.tracks;
 
-                this.playScriptDict(scriptDict);
+        for (var trackIndex = 0, trackCount = tracks.length;
+             trackIndex < trackCount;
+             trackIndex++) {
 
+            if (tracks[trackIndex].trackType == trackTypeSymbol) {
+                return tracks[trackIndex];
             }
 
         }
 
-        //this.scriptPlaying = false;
+        var track = this.makeScriptTrack(trackTypeSymbol);
+
+        tracks.push(track);
+
+        return track;
+    };
+
+
+    // getTrackTypeForScriptType returns the symbol of the trackType
+    // that holds script dicts of a scriptType, or null if none does.
+    CAMCore.prototype.getTrackTypeForScriptType = function getTrackTypeForScriptType(scriptType) {
+
+        for (var i = 0, n = this.trackType_objects.length;
+             i < n;
+             i++) {
+
+            var trackTypeDict = this.trackType_objects[i];
+
+            if (trackTypeDict.scriptTypes.indexOf(scriptType) != -1) {
+                return trackTypeDict.symbol;
+            }
+
+        }
+
+        return null;
+    };
+
+
+    // isScriptEmpty returns true if there's no script, or none of its
+    // tracks have any script dicts.
+    CAMCore.prototype.isScriptEmpty = function isScriptEmpty(script) {
+
+        if (!script) {
+            return true;
+        }
+
+        for (var trackIndex = 0, trackCount = script.tracks.length;
+             trackIndex < trackCount;
+             trackIndex++) {
+
+            if (script.tracks[trackIndex].entries.length) {
+                return false;
+            }
+
+        }
+
+        return true;
+    };
+
+
+    // getScriptDictTime returns the step of the script that a script
+    // dict of a track plays at, offset and scaled by the track.
+    CAMCore.prototype.getScriptDictTime = function getScriptDictTime(track, scriptDict) {
+        return track.offset + (scriptDict.step * track.scale);
+    };
+
+
+    // getScriptDuration returns the step of the script that its last
+    // script dict plays at.
+    CAMCore.prototype.getScriptDuration = function getScriptDuration(script) {
+
+        var duration = 0;
+
+        for (var trackIndex = 0, trackCount = script.tracks.length;
+             trackIndex < trackCount;
+             trackIndex++) {
+
+            var track = script.tracks[trackIndex];
+            var entries = track.entries;
+
+            if (entries.length) {
+                duration =
+                    Math.max(
+                        duration,
+                        this.getScriptDictTime(
+                            track,
+                            entries[entries.length - 1]));
+            }
+
+        }
+
+        return duration;
+    };
+
+
+    // getScriptTarget returns the object that a target symbol of a
+    // script dict names, or null if there is none. CAMCore only
+    // records and plays its own params, as the target 'cam', like
+    // CAM6.
+    CAMCore.prototype.getScriptTarget = function getScriptTarget(targetSymbol) {
+        return (targetSymbol == 'cam')
+            ? this
+            : null;
+    };
+
+
+    // getScriptTargetSymbol returns the target symbol that names an
+    // object in script dicts, or null if it can't be recorded.
+    CAMCore.prototype.getScriptTargetSymbol = function getScriptTargetSymbol(target) {
+        return (target === this)
+            ? 'cam'
+            : null;
+    };
+
+
+    // recordScriptDict adds a script dict to the track of its
+    // scriptType in the script being recorded, targeting the
+    // simulator unless it already has a target, at the current step
+    // relative to the start of recording.
+    CAMCore.prototype.recordScriptDict = function recordScriptDict(scriptDict) {
+
+        scriptDict.step = this.step - this.scriptRecordingStartStep;
+        scriptDict.target = scriptDict.target || this.getScriptTargetSymbol(this);
+
+        this.getScriptTrack(
+            this.scriptRecordingScript,
+            this.getTrackTypeForScriptType(scriptDict.scriptType))
+                .entries.push(scriptDict);
 
     };
 
@@ -8696,7 +9299,11 @@ console.log("show");
                         ? scriptDict.newParams
                         : scriptDict.oldParams;
 
-                var target = this; // TODO
+                var target = this.getScriptTarget(scriptDict.target);
+
+                if (!target) {
+                    break;
+                }
 
                 this.playParams(
                     target,
@@ -8741,8 +9348,6 @@ console.log("show");
     // playParams plays a params dictionary.
     CAMCore.prototype.playParams = function playParams(target, params) {
 
-        var target = this; // TODO
-
         for (var key in params) {
             var value = params[key];
             this.setValue(target, key, value);
@@ -8785,9 +9390,8 @@ console.log("show");
             return;
         }
 
-        this.scriptRecordingScript.push(
+        this.recordScriptDict(
             {
-                step: this.step - this.scriptRecordingStartStep,
                 scriptType: 'command',
                 commandSymbol: commandDict.symbol,
                 params: Object.assign({}, params)
@@ -8816,6 +9420,12 @@ console.log("show");
             return;
         }
 
+        var targetSymbol = this.getScriptTargetSymbol(target);
+
+        if (!targetSymbol) {
+            return;
+        }
+
         // If newParams is not defined, then we take a snapshot of all
         // params defined by metadata that have their recordable flag
         // set.
@@ -8840,92 +9450,69 @@ console.log("show");
         }
 
         // If oldParams is not defined, then we take a snapshot of
-        // the param's current value, assuming that recordParams is
-        // being called before those values have been changed of
-        // ourse.
+        // the current values of the newParams, assuming that
+        // recordParams is being called before those values have been
+        // changed of course.
         if (!oldParams) {
 
             oldParams = {};
 
-            for (var i = 0, n = this.paramMetaData_objects.length;
-                 i < n;
-                 i++) {
-
-                var paramMetaData =
-                    this.paramMetaData_objects[i];
-
-                if (paramMetaData.recordable) {
-                    oldParams[paramMetaData.param] =
-                        target[paramMetaData.param];
-                }
-
+            for (var key in newParams) {
+                oldParams[key] = target[key];
             }
 
         }
 
-        // For efficieny's sake, we collapse sequences of setValues on
-        // the same set into the same script entry. Search backwards
-        // from the end of the script for a params scriptDict on the
-        // current step, to make sure we don't miss any, and if found,
-        // then update its newParams and oldParams appropriately.
+        // For efficiency's sake, we collapse sequences of setValues on
+        // the same step and target into the same script dict. The
+        // params track only has params script dicts, in order of
+        // step, so if the last one is on the current step and has the
+        // same target, then update its newParams and oldParams.
 
-        for (var scriptIndex = this.scriptRecordingScript - 1;
-             scriptIndex >= 0;
-             scriptIndex--) {
+        var step = this.step - this.scriptRecordingStartStep;
+        var entries =
+            this.getScriptTrack(
+                this.scriptRecordingScript,
+                'params').entries;
+        var lastScriptDict =
+            entries[entries.length - 1];
 
-            // TODO: make sure same target
-
-            var scriptDict =
-                this.scriptRecordingScript[scriptIndex];
-
-            // If the step of this scriptDict is different than this
-            // step, then we didn't find anything, so we are done searching.
-            if (scriptDict.step != this.step) {
-                break;
-            }
-
-            // If the scriptType of this scriptDict is not params,
-            // then keep searching.
-            if (scriptDict.scriptType != 'params') {
-                continue;
-            }
+        if (lastScriptDict &&
+            (lastScriptDict.step == step) &&
+            (lastScriptDict.target == targetSymbol)) {
 
-            // We found an existing params scriptDict to recycle!
-
-            // Always update the scriptDict's newParams with fresh
-            // values from our most recent newParams, so it has up
-            // to date values.
+            // Always update the last scriptDict's newParams with the
+            // most recent values, so it has up to date values.
             for (var key in newParams) {
-                lastScriptDict.newParams[key] = newParams.value;
+                lastScriptDict.newParams[key] = newParams[key];
             }
 
-            // Set any of the the scriptDict's oldParams keys that
-            // are not already set from the most recent oldParams,
-            // so we don't stomp on older values with newer values.
+            // Set any of the last scriptDict's oldParams keys that are
+            // not already set from the most recent oldParams, so we
+            // don't stomp on older values with newer values.
             for (var key in oldParams) {
                 if (!(key in lastScriptDict.oldParams)) {
-                    lastScriptDict.oldParams[key] = oldParams.value;
+                    lastScriptDict.oldParams[key] = oldParams[key];
                 }
             }
 
-            //LOG('Script extended last recorded params:', ['step', this.step, 'newParams', oldParams, 'lastScriptDict', lastScriptDict]);
+            //LOG('Script extended last recorded params:', ['step', step, 'newParams', newParams, 'lastScriptDict', lastScriptDict]);
 
-            // The whole point of this exercise was to avoid making a
-            // new scriptDict, so we are all done!
             return;
         }
 
-        // TODO: record target
+        // CAMCore doesn't interpolate params, so they change in steps.
         var scriptDict = {
-            step: this.step - this.scriptRecordingStartStep,
             scriptType: 'params',
+            target: targetSymbol,
+            interpolation: 'step',
             newParams: Object.assign({}, newParams),
             oldParams: Object.assign({}, oldParams)
         };
 
-        this.scriptRecordingScript.push(scriptDict);
+        this.recordScriptDict(scriptDict);
 
-        //LOG('Script recorded params:', ['step', this.step, 'target', target, 'newParams', newParams, 'oldParams', oldParams, 'scriptDict', scriptDict]);
+        //LOG('Script recorded params:', ['step', step, 'target', target, 'newParams', newParams, 'oldParams', oldParams, 'scriptDict', scriptDict]);
 
     };
 
@@ -8940,7 +9527,6 @@ console.log("show");
         var cellData = this.getCellData();
 
         var scriptDict = {
-            step: this.step - this.scriptRecordingStartStep,
             scriptType: 'cells',
             params: {
                 cellData: cellData,
@@ -8949,7 +9535,7 @@ console.log("show");
             }
         };
 
-        this.scriptRecordingScript.push(scriptDict);
+        this.recordScriptDict(scriptDict);
 
         //LOG('Script recorded cells:', ['step', this.step, 'cellData', cellData, 'cellWidth', this.cellWidth, 'cellHeight', this.cellHeight, 'scriptDict', scriptDict]);
 
@@ -8959,8 +9545,7 @@ console.log("show");
     // scriptSave saves the current script.
     CAMCore.prototype.scriptSave = function scriptSave() {
 
-        if (!this.scriptPlayingScript ||
-            !this.scriptPlayingScript.length) {
+        if (this.isScriptEmpty(this.scriptPlayingScript)) {
             alert('There is no script to save! Try recording something.');
             return;
         }
@@ -8990,6 +9575,10 @@ console.log("show");
     // initCanvas initializes the canvas.
     CAMCore.prototype.initCanvas = function initCanvas() {
 
+        if (!this.useGUI) {
+            return;
+        }
+
         this.scaleCanvas();
 
         this.cellCanvasImageData =
@@ -9020,6 +9609,10 @@ console.log("show");
     // scaleCanvasToWindow sets the scale of the canvas to the window size.
     CAMCore.prototype.scaleCanvasToWindow = function scaleCanvasToWindow() {
 
+        if (!this.useGUI) {
+            return;
+        }
+
         this.windowWidth = window.innerWidth;
         this.windowHeight = window.innerHeight;
 
@@ -9266,6 +9859,10 @@ console.log("show");
     // initHistogram initializes the histogram.
     CAMCore.prototype.initHistogram = function initHistogram() {
 
+        if (!this.useGUI) {
+            return;
+        }
+
         this.histogramCanvasWidth = 256;
         this.histogramCanvasHeight =
             this.histogramToolCellHeight +
@@ -9576,12 +10173,18 @@ console.log("show");
 
     // show shows the root.
     CAMCore.prototype.show = function pause() {
+        if (!this.root) {
+            return;
+        }
         this.root.style = 'opacity: 0.5; z-index: 1000; position: absolute; right: 0px; top: 32px; display: block; ';
     };
 
 
     // hide hides the root.
     CAMCore.prototype.hide = function pause() {
+        if (!this.root) {
+            return;
+        }
         this.root.style = 'display: none; ';
     };
 
@@ -9626,7 +10229,7 @@ console.log("show");
         }
 
         this.animationTimer =
-            window.setTimeout(
+            setTimeout(
                 proxy(this.tick, this),
                 this.animationDelay);
 
@@ -9708,7 +10311,8 @@ console.log("show");
     // renderCells renders the cells into the canvas.
     CAMCore.prototype.renderCells = function renderCells() {
 
-        if (!this.doCellCanvas) {
+        if (!this.doCellCanvas ||
+            !this.cellCanvasContext) {
             return;
         }
 
@@ -9761,7 +10365,8 @@ console.log("show");
     // renderHistogram renders the histogram into the canvas.
     CAMCore.prototype.renderHistogram = function renderHistogram() {
 
-        if (!this.doHistogram) {
+        if (!this.doHistogram ||
+            !this.histogramCanvasContext) {
             return;
         }
 
@@ -10065,7 +10670,9 @@ console.log("show");
     };
 
 
-    // wrapCells wraps the cell edges.
+    // wrapCells fills the gutter around the cell edges, according to
+    // the topology, so the neighborhoods can read past the edges
+    // without checking for edge conditions in their inner loops.
     CAMCore.prototype.wrapCells = function wrapCells() {
 
         var cells = this.getCells();
@@ -10073,40 +10680,56 @@ console.log("show");
         var cellHeight = this.cellHeight;
         var cellGutter = this.cellGutter;
         var cellBufferWidth = this.cellBufferWidth;
-        var cellIndex = (cellGutter * cellBufferWidth) + cellGutter;
-        var penultimateBufferRow = cellBufferWidth * cellHeight;
-        var ultimateBufferRow = cellBufferWidth * (cellHeight + 1);
-
-        // Wrap the left and right edges of the cells,
-        // not including the corners of the buffer.
-        for (var cellY = 0;
-             cellY < cellHeight;
-             cellY++) {
-
-            // Copy right edge of cells to left edge of buffer.
-            cells[cellIndex - 1] = cells[cellIndex + cellWidth - 1];
-
-            // Copy left edge of cells to right edge of buffer.
-            cells[cellIndex + cellWidth] = cells[cellIndex];
-
-            cellIndex += cellBufferWidth;
+        var cellBufferHeight = this.cellBufferHeight;
+        var topologyDict = this.topology_by_symbol[this.topologySymbol];
+        var edge = topologyDict.edge;
+        var flipXAcrossY = topologyDict.flipXAcrossY;
+        var flipYAcrossX = topologyDict.flipYAcrossX;
+        var topologyBorderCell = this.topologyBorderCell;
+
+        for (var bufferY = 0;
+             bufferY < cellBufferHeight;
+             bufferY++) {
+
+            var cellY = bufferY - cellGutter;
+            var crossY = (cellY < 0) || (cellY >= cellHeight);
+
+            // Inside rows only have gutter on the left and right,
+            // so skip over the cells between them.
+            var bufferXStep =
+                crossY
+                    ? 1
+                    : cellWidth + 1;
+
+            for (var bufferX = 0;
+                 bufferX < cellBufferWidth;
+                 bufferX += (bufferX == (cellGutter - 1)) ? bufferXStep : 1) {
+
+                var cellIndex = bufferX + (bufferY * cellBufferWidth);
+
+                if (edge == 'constant') {
+                    cells[cellIndex] = topologyBorderCell;
+                    continue;
+                }
 
-        }
+                var cellX = bufferX - cellGutter;
+                var crossX = (cellX < 0) || (cellX >= cellWidth);
+                var fromX = wrapCoordinate(cellX, cellWidth, edge);
+                var fromY = wrapCoordinate(cellY, cellHeight, edge);
 
-        // Wrap the top and bottom edges of the cells,
-        // including the corners.
-        cellIndex = 0;
-        for (var bufferX = 0;
-             bufferX < cellBufferWidth;
-             bufferX++) {
+                if (crossY && flipXAcrossY) {
+                    fromX = cellWidth - 1 - fromX;
+                }
 
-            // Copy bottom edge of cells to top edge of buffer.
-            cells[cellIndex] = cells[cellIndex + penultimateBufferRow];
+                if (crossX && flipYAcrossX) {
+                    fromY = cellHeight - 1 - fromY;
+                }
 
-            // Copy top edge of cells to bottom edge of buffer.
-            cells[cellIndex + ultimateBufferRow] = cells[cellIndex + cellBufferWidth];
+                cells[cellIndex] =
+                    cells[(fromX + cellGutter) +
+                          ((fromY + cellGutter) * cellBufferWidth)];
 
-            cellIndex++;
+            }
 
         }
 
@@ -10403,6 +11026,10 @@ console.log("show");
         var bottom = this.cellHeight;
         var cellGutter = this.cellGutter;
         var cellBufferWidth = this.cellBufferWidth;
+        if (!this.compositionOverlayContext) {
+            return;
+        }
+
         var pixels =
             this.compositionOverlayContext.getImageData(
                 0, 0, this.cellWidth, this.cellHeight).data;
@@ -10422,6 +11049,10 @@ console.log("show");
     // clearCompositionOverlay clears the draw overlay.
     CAMCore.prototype.clearCompositionOverlay = function clearCompositionOverlay() {
 
+        if (!this.compositionOverlayContext) {
+            return;
+        }
+
         this.compositionOverlayContext.clearRect(
             0, 0, this.cellWidth, this.cellHeight);
 
@@ -10431,6 +11062,10 @@ console.log("show");
     // clearFeedbackOverlay clears the feedback overlay.
     CAMCore.prototype.clearFeedbackOverlay = function clearFeedbackOverlay() {
 
+        if (!this.feedbackOverlayContext) {
+            return;
+        }
+
         this.feedbackOverlayContext.clearRect(
             0, 0, this.cellWidth, this.cellHeight);
 
@@ -10447,12 +11082,11 @@ console.log("show");
         var activeToolDictCopy = Object.assign({}, activeToolDict);
 
         var scriptDict = {
-            step: this.step - this.scriptRecordingStartStep,
             scriptType: 'tool',
             activeToolDict: activeToolDictCopy
         };
 
-        this.scriptRecordingScript.push(scriptDict);
+        this.recordScriptDict(scriptDict);
 
         //LOG('Script recorded tool:', ['step', this.step, 'symbol', toolDict.symbol, 'mouseX', activeToolDict.mouseX, 'mouseY', activeToolDict.mouseY, 'activeToolDict', activeToolDict, 'scriptDict', scriptDict]);
 
@@ -10469,12 +11103,11 @@ console.log("show");
         var activeToolDictCopy = Object.assign({}, activeToolDict);
 
         var scriptDict = {
-            step: this.step - this.scriptRecordingStartStep,
             scriptType: 'toolBegin',
             activeToolDict: activeToolDictCopy
         };
 
-        this.scriptRecordingScript.push(scriptDict);
+        this.recordScriptDict(scriptDict);
 
         //LOG('Script recorded tool begin:', ['step', this.step, 'toolSymbol', toolDict.toolSymbol, 'scriptDict', scriptDict]);
 
@@ -10491,12 +11124,11 @@ console.log("show");
         var activeToolDictCopy = Object.assign({}, activeToolDict);
 
         var scriptDict = {
-            step: this.step - this.scriptRecordingStartStep,
             scriptType: 'toolEnd',
             activeToolDict: activeToolDictCopy
         };
 
-        this.scriptRecordingScript.push(scriptDict);
+        this.recordScriptDict(scriptDict);
 
         //LOG('Script recorded tool end:', ['step', this.step, 'toolSymbol', toolDict.toolSymbol, 'scriptDict', scriptDict]);
 
@@ -10750,11 +11382,8 @@ console.log("show");
             var xml = output.join('');
 
             //LOG('Parsing XML text:', xml);
-            var parser = new DOMParser();
-            var doc = parser.parseFromString(xml, "text/xml");
-            //LOG('Got XML document:', doc);
-
-            neighborhoodFunctionTemplate = doc && doc.firstChild;
+            neighborhoodFunctionTemplate = parseTemplateXML(xml);
+            //LOG('Got XML template:', neighborhoodFunctionTemplate);
 
             if (!neighborhoodFunctionTemplate) {
                 ERROR('Error parsing xml for function template:', xml);
@@ -10858,11 +11487,8 @@ console.log("show");
         var xml = output.join('');
 
         //LOG('Parsing XML text:', xml);
-        var parser = new DOMParser();
-        var doc = parser.parseFromString(xml, "text/xml");
-        //LOG('Got XML document:', doc);
-
-        var templateElement = doc && doc.firstChild;
+        var templateElement = parseTemplateXML(xml);
+        //LOG('Got XML template:', templateElement);
 
         if (!templateElement) {
             ERROR('Error parsing xml for function template:', xml);
@@ -10975,7 +11601,7 @@ console.log("show");
                                 error = null;
                             } catch (e) {
                                 error = e;
-                                ERR('Error evaluating JavaScript expression:', ['error', error, 'expression', test]);
+                                ERROR('Error evaluating JavaScript expression:', ['error', error, 'expression', test]);
                             }
                         }
 
@@ -11055,7 +11681,7 @@ console.log("show");
                                 error = null;
                             } catch (e) {
                                 error = e;
-                                ERR('Error evaluating JavaScript expression:', ['error', error, 'expression', test]);
+                                ERROR('Error evaluating JavaScript expression:', ['error', error, 'expression', test]);
                             }
                         }
 
@@ -11079,7 +11705,7 @@ console.log("show");
                                 error = null;
                             } catch (e) {
                                 error = e;
-                                ERR('Error evaluating JavaScript expression:', ['error', error, 'expression', forDict.init]);
+                                ERROR('Error evaluating JavaScript expression:', ['error', error, 'expression', forDict.init]);
                             }
                         }
 
@@ -11095,7 +11721,7 @@ console.log("show");
                                     error = null;
                                 } catch (e) {
                                     error = e;
-                                    ERR('Error evaluating JavaScript expression:', ['error', error, 'expression', forDict.test]);
+                                    ERROR('Error evaluating JavaScript expression:', ['error', error, 'expression', forDict.test]);
                                 }
                             }
 
@@ -11109,7 +11735,7 @@ console.log("show");
                                     error = null;
                                 } catch (e) {
                                     error = e;
-                                    ERR('Error evaluating JavaScript expression:', ['error', error, 'expression', forDict.repeat]);
+                                    ERROR('Error evaluating JavaScript expression:', ['error', error, 'expression', forDict.repeat]);
                                 }
                             }
 
@@ -11142,7 +11768,7 @@ console.log("show");
                                 error = null;
                             } catch (e) {
                                 error = e;
-                                ERR('Error evaluating JavaScript expression:', ['error', error, 'expression', expression]);
+                                ERROR('Error evaluating JavaScript expression:', ['error', error, 'expression', expression]);
                             }
 
                             if (result) {
@@ -11155,7 +11781,7 @@ console.log("show");
 
                     default:
 
-                        ERR('Error with unexpected node name:', nodeName);
+                        ERROR('Error with unexpected node name:', nodeName);
 
                         break;
 
@@ -11203,7 +11829,7 @@ console.log("show");
             var string = strings[i];
             var expressionRest = string.split('}', 1);
             if (expressionRest.length != 2) {
-                ERR('Error parsing template subsitution expression:', string);
+                ERROR('Error parsing template subsitution expression:', string);
             } else {
                 var expression = expressionRest[0];
                 var rest = expressionRest[1];
@@ -11215,7 +11841,7 @@ console.log("show");
                     error = null;
                 } catch (e) {
                     error = e;
-                    ERR('Error evaluating JavaScript expression:', e);
+                    ERROR('Error evaluating JavaScript expression:', e);
                 }
 
                 resultVariables.push({
@@ -11269,6 +11895,250 @@ console.log("show");
     };
 
 
+    // runSteps applies the rule stepCount times, whether or not the
+    // simulation is paused, without playing scripts, applying tools,
+    // rendering or scheduling a tick. It's how headless code drives
+    // the simulation. Like after a tick, the newest cells are left
+    // in the next cells.
+    CAMCore.prototype.runSteps = function runSteps(stepCount) {
+
+        var userParams = {};
+        var ruleDict = this.rule_by_symbol[this.ruleSymbol];
+        var neighborhoodDict = this.get_neighborhood_by_symbol(ruleDict.neighborhood);
+        var neighborhoodFunction = this.compileNeighborhoodFunction(neighborhoodDict, ruleDict, userParams);
+
+        for (var stepIndex = 0;
+             stepIndex < stepCount;
+             stepIndex++) {
+
+            this.nextPhaseTime();
+            this.wrapCells();
+
+            neighborhoodFunction.call(
+                this, neighborhoodDict, ruleDict);
+
+            this.step++;
+        }
+
+    };
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // The CAMEngine class is a headless facade around CAMCore, that
+    // doesn't need a DOM, jQuery, canvas or window, so simulations can
+    // be run from Node, in CI and batch jobs. CAMCore's step counter is
+    // a param named step, so the step method lives here.
+
+
+    // CAMPNG reads and writes PNG files, and writes GIF and zip files,
+    // for the methods below. Node requires it from the same directory,
+    // and the browser loads it with a script tag.
+    var CAMPNG =
+        ((typeof module != 'undefined') &&
+         module.exports)
+            ? require('./CAMPNG.js')
+            : window.CAMPNG;
+
+
+    // CAMEngine class constructor function, called like:
+    // var engine = new CAMEngine({cellWidth: 256, cellHeight: 256, ruleSymbol: 'Life'});
+    // The params are passed to CAMCore, with useGUI false. The cells
+    // start out randomized.
+    var CAMEngine = function CAMEngine(params) {
+
+        var camParams = {
+            useGUI: false
+        };
+
+        for (var key in params) {
+            camParams[key] = params[key];
+        }
+
+        this.cam = new CAMCore(camParams);
+        this.cam.startup();
+
+        return this;
+    };
+
+
+    // step runs the simulation for stepCount steps, or one step if
+    // stepCount isn't given, and returns the engine.
+    CAMEngine.prototype.step = function step(stepCount) {
+
+        this.cam.runSteps(
+            (stepCount === undefined) ? 1 : stepCount);
+
+        return this;
+    };
+
+
+    // getCellData returns the newest cells as an array of numbers,
+    // compatible with JSON. Between steps the newest cells are in the
+    // next cells, but CAMCore's getCellData reads the current cells,
+    // so flip the phase around it.
+    CAMEngine.prototype.getCellData = function getCellData() {
+
+        var cam = this.cam;
+
+        cam.nextPhaseTime();
+        var cellData = cam.getCellData();
+        cam.nextPhaseTime();
+
+        return cellData;
+    };
+
+
+    // setCells sets the cells from an array of numbers, of the given
+    // width and height, which default to the current size.
+    CAMEngine.prototype.setCells = function setCells(cellData, cellWidth, cellHeight) {
+
+        var cam = this.cam;
+
+        cam.setCells(
+            cellData,
+            cellWidth || cam.cellWidth,
+            cellHeight || cam.cellHeight);
+
+        return this;
+    };
+
+
+    // setValue sets a CAMCore param, like ruleSymbol, and returns the
+    // engine.
+    CAMEngine.prototype.setValue = function setValue(key, value) {
+
+        var cam = this.cam;
+
+        cam.setValue(cam, key, value);
+
+        return this;
+    };
+
+
+    // getPNG returns the bytes of a PNG file of the newest cells, of
+    // the raw cell values as grayscale, or colored by the current
+    // color map if colorized is true, with the params saved as JSON in
+    // tEXt chunks by CAMPNG's paramsToText, like CAM6's makePNG, so PNG
+    // files can be passed between CAM6 and CAMEngine.
+    CAMEngine.prototype.getPNG = function getPNG(colorized) {
+
+        var cam = this.cam;
+        var image =
+            CAMPNG.cellsToImage(
+                this.getCellData(),
+                cam.cellWidth,
+                cam.cellHeight,
+                colorized ? cam.getColorMap() : null);
+
+        image.text.Software = 'CAM6';
+        image.text.cellEncoding = colorized ? 'colorMap' : 'raw';
+
+        CAMPNG.paramsToText(cam, image.text);
+
+        return CAMPNG.encode(image);
+    };
+
+
+    // setPNG loads the cells and recordable params from the bytes of a
+    // PNG file, like CAM6's loadPNG, except that the cells are resized
+    // to the size of the PNG file, since there's no canvas to fit. It
+    // returns the engine, or null if the bytes are not a PNG file it
+    // can read. Param values it can't use are skipped.
+    CAMEngine.prototype.setPNG = function setPNG(bytes) {
+
+        var cam = this.cam;
+        var image = CAMPNG.decode(bytes);
+
+        if (!image) {
+            return null;
+        }
+
+        CAMPNG.textToParams(cam, image.text);
+
+        cam.setCells(
+            CAMPNG.imageToCells(image, cam.getColorMap()),
+            image.width,
+            image.height);
+
+        return this;
+    };
+
+
+    // captureFrames runs the simulation for frameCount frames of
+    // stepsPerFrame steps each, which defaults to one, and returns an
+    // array of the frames, which are dicts of the newest cellData and
+    // a copy of the color map, as CAMPNG's encodeGIF and encodePNGZip
+    // take.
+    CAMEngine.prototype.captureFrames = function captureFrames(frameCount, stepsPerFrame) {
+
+        var cam = this.cam;
+        var frames = [];
+
+        for (var frameIndex = 0;
+             frameIndex < frameCount;
+             frameIndex++) {
+
+            if (frameIndex > 0) {
+                this.step(stepsPerFrame || 1);
+            }
+
+            frames.push({
+                cellData: new Uint8Array(this.getCellData()),
+                colorMap: new Uint8Array(cam.getColorMap())
+            });
+
+        }
+
+        return frames;
+    };
+
+
+    // getGIF runs the simulation like captureFrames, and returns the
+    // bytes of a looping animated GIF file of the frames, with a delay
+    // in milliseconds between them, which defaults to 100.
+    CAMEngine.prototype.getGIF = function getGIF(frameCount, stepsPerFrame, delay) {
+
+        var cam = this.cam;
+
+        return CAMPNG.encodeGIF(
+            this.captureFrames(frameCount, stepsPerFrame),
+            cam.cellWidth,
+            cam.cellHeight,
+            (delay === undefined) ? 100 : delay);
+    };
+
+
+    // getPNGZip runs the simulation like captureFrames, and returns the
+    // bytes of a zip file of numbered PNG files of the frames, named
+    // after the rule.
+    CAMEngine.prototype.getPNGZip = function getPNGZip(frameCount, stepsPerFrame) {
+
+        var cam = this.cam;
+
+        return CAMPNG.encodePNGZip(
+            this.captureFrames(frameCount, stepsPerFrame),
+            cam.cellWidth,
+            cam.cellHeight,
+            cam.ruleSymbol);
+    };
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // Export CAMCore and CAMEngine to module.exports when required by
+    // Node, or to the window in the browser.
+
+
+    CAMCore.CAMEngine = CAMEngine;
+
+    if ((typeof module != 'undefined') &&
+        module.exports) {
+        module.exports = CAMCore;
+    } else {
+        window.CAMCore = CAMCore;
+        window.CAMEngine = CAMEngine;
+    }
+
+
 })();
 
 
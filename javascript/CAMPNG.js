@@ -0,0 +1,1632 @@
+////////////////////////////////////////////////////////////////////////
+//
+// CAMPNG.js
+//
+// Copyright (c) 2013, Don Hopkins.
+// All rights reserved.
+//
+
+
+////////////////////////////////////////////////////////////////////////
+//
+// Redistribution and use in source and binary forms, with or without
+// modification, are permitted provided that the following conditions
+// are met:
+//
+// 1. Redistributions of source code must retain the above copyright
+//    notice, this list of conditions and the following disclaimer.
+//
+// 2. Redistributions in binary form must reproduce the above copyright
+//    notice, this list of conditions and the following disclaimer in the
+//    documentation and/or other materials provided with the distribution.
+//
+// THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+// 'AS IS' AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+// LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+// A PARTICULAR PURPOSE ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT
+// OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+// SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT
+// LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE,
+// DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY
+// THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+// (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE
+// OF THIS SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+//
+// The views and conclusions contained in the software and documentation
+// are those of the authors and should not be interpreted as representing
+// official policies, either expressed or implied, of the FreeBSD Project.
+//
+
+
+////////////////////////////////////////////////////////////////////////
+//
+// CAMPNG reads and writes PNG images of the 8 bit cells, in pure
+// JavaScript, without a canvas, so CAM6 in the browser and CAMCore
+// in Node can both use it. It includes its own zlib deflate and
+// inflate, with the crc32 and adler32 checksums.
+//
+// Images are dicts with a width, height, PNG colorType, a pixels
+// Uint8Array of the samples of each pixel, and a text dict of the
+// keywords and values of the tEXt chunks.
+//
+// encode takes an image and returns the bytes of a PNG file. It
+// writes 8 bit grayscale (colorType 0), truecolor (colorType 2) or
+// truecolor with alpha (colorType 6) images.
+//
+// decode takes the bytes of a PNG file and returns an image, or null
+// if it can't read it. It reads 8 bit non interlaced images of any
+// colorType, expanding palette images to truecolor, and tEXt and
+// zTXt chunks.
+//
+// cellsToImage and imageToCells convert between cells and images,
+// as raw grayscale cell bytes, or colorized through a colorMap.
+//
+// encodeGIF and encodePNGZip make animations of frames of cells, as
+// looping animated GIF files with the colorMaps as color tables, or
+// as zip files of numbered PNG files, made by encodeZip.
+//
+// paramsToText and textToParams save and restore the recordable
+// params of a CAM6 or CAMCore in the text dict of an image, checked
+// by isValidParamValue, so both save and load PNG files the same way.
+//
+
+
+////////////////////////////////////////////////////////////////////////
+
+
+(function() {
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // Checksums.
+
+
+    // crc32Table is the table of the CRC-32 of each byte, for crc32.
+    var crc32Table = (function() {
+
+        var table = [];
+
+        for (var n = 0;
+             n < 256;
+             n++) {
+
+            var c = n;
+
+            for (var k = 0;
+                 k < 8;
+                 k++) {
+                c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+
+            table.push(c >>> 0);
+        }
+
+        return table;
+    })();
+
+
+    // crc32 returns the CRC-32 of the bytes from start to end, as PNG
+    // chunks use.
+    function crc32(bytes, start, end) {
+
+        var crc = 0xffffffff;
+
+        for (var i = start;
+             i < end;
+             i++) {
+            crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+
+    // adler32 returns the Adler-32 checksum of the bytes, as zlib
+    // streams end with.
+    function adler32(bytes) {
+
+        var a = 1;
+        var b = 0;
+
+        for (var i = 0, n = bytes.length;
+             i < n;) {
+
+            // Take the modulo only every 5552 bytes, before b overflows.
+            for (var blockEnd = Math.min(i + 5552, n);
+                 i < blockEnd;
+                 i++) {
+                a += bytes[i];
+                b += a;
+            }
+
+            a %= 65521;
+            b %= 65521;
+        }
+
+        return ((b << 16) | a) >>> 0;
+    }
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // Bytes.
+
+
+    // makeByteWriter makes a writer of bytes into a Uint8Array, which
+    // starts with room for capacity bytes, and doubles in size when it
+    // fills up, so long animations don't take eight bytes of an array
+    // of numbers per byte. Like an array, it has a length, and a push
+    // method that appends any number of bytes.
+    function makeByteWriter(capacity) {
+
+        return {
+
+            bytes: new Uint8Array(Math.max(256, capacity || 0)),
+
+            length: 0,
+
+            // reserve makes room for count more bytes.
+            reserve: function reserve(count) {
+                var needed = this.length + count;
+                if (needed > this.bytes.length) {
+                    var bytes = new Uint8Array(Math.max(needed, 2 * this.bytes.length));
+                    bytes.set(this.bytes.subarray(0, this.length));
+                    this.bytes = bytes;
+                }
+            },
+
+            // push appends each of its arguments as a byte.
+            push: function push() {
+                var count = arguments.length;
+                this.reserve(count);
+                for (var i = 0; i < count; i++) {
+                    this.bytes[this.length++] = arguments[i];
+                }
+            },
+
+            // pushBytes appends an array or Uint8Array of bytes.
+            pushBytes: function pushBytes(bytes) {
+                this.reserve(bytes.length);
+                this.bytes.set(bytes, this.length);
+                this.length += bytes.length;
+            },
+
+            // getBytes returns the bytes written, without the room
+            // left over.
+            getBytes: function getBytes() {
+                return this.bytes.subarray(0, this.length);
+            }
+
+        };
+    }
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // Deflate.
+
+
+    // The base lengths and extra bits of the deflate length codes
+    // 257 to 285, and the base distances and extra bits of the
+    // distance codes 0 to 29.
+    var lengthBases = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+    var lengthExtraBits = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+    var distanceBases = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+    var distanceExtraBits = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+    // The order of the code length code lengths of dynamic blocks.
+    var codeLengthOrder = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+
+    // makeBitWriter makes a writer of bits into the bytes of a byte
+    // writer, least significant bit first, as deflate packs them.
+    function makeBitWriter(bytes) {
+
+        var bitBuffer = 0;
+        var bitCount = 0;
+
+        return {
+
+            bytes: bytes,
+
+            // writeBits writes the count low bits of value.
+            writeBits: function writeBits(value, count) {
+                bitBuffer |= value << bitCount;
+                bitCount += count;
+                while (bitCount >= 8) {
+                    bytes.push(bitBuffer & 0xff);
+                    bitBuffer >>>= 8;
+                    bitCount -= 8;
+                }
+            },
+
+            // writeCode writes a Huffman code of length bits, most
+            // significant bit first.
+            writeCode: function writeCode(code, length) {
+                var reversed = 0;
+                for (var i = 0; i < length; i++) {
+                    reversed = (reversed << 1) | ((code >> i) & 1);
+                }
+                this.writeBits(reversed, length);
+            },
+
+            // flush writes any partial byte.
+            flush: function flush() {
+                if (bitCount > 0) {
+                    bytes.push(bitBuffer & 0xff);
+                }
+                bitBuffer = 0;
+                bitCount = 0;
+            }
+
+        };
+    }
+
+
+    // writeFixedLiteral writes a literal or length symbol with the
+    // fixed Huffman code.
+    function writeFixedLiteral(writer, symbol) {
+        if (symbol < 144) {
+            writer.writeCode(0x30 + symbol, 8);
+        } else if (symbol < 256) {
+            writer.writeCode(0x190 + symbol - 144, 9);
+        } else if (symbol < 280) {
+            writer.writeCode(symbol - 256, 7);
+        } else {
+            writer.writeCode(0xc0 + symbol - 280, 8);
+        }
+    }
+
+
+    // writeFixedMatch writes a match of a length and distance with the
+    // fixed Huffman codes.
+    function writeFixedMatch(writer, length, distance) {
+
+        var code = 0;
+        while ((code < 28) &&
+               (lengthBases[code + 1] <= length)) {
+            code++;
+        }
+
+        writeFixedLiteral(writer, 257 + code);
+        writer.writeBits(length - lengthBases[code], lengthExtraBits[code]);
+
+        code = 0;
+        while ((code < 29) &&
+               (distanceBases[code + 1] <= distance)) {
+            code++;
+        }
+
+        writer.writeCode(code, 5);
+        writer.writeBits(distance - distanceBases[code], distanceExtraBits[code]);
+    }
+
+
+    // deflate compresses bytes into a zlib stream, with one block of
+    // fixed Huffman codes, finding repeated strings of the last 32K
+    // bytes with a hash chain of 3 byte prefixes.
+    function deflate(bytes) {
+
+        var windowSize = 32768;
+        var maxChain = 64;
+        var n = bytes.length;
+        var head = new Int32Array(65536);
+        var prev = new Int32Array(windowSize);
+        var writer = makeBitWriter(makeByteWriter((n >> 1) + 64));
+
+        for (var i = 0; i < 65536; i++) {
+            head[i] = -1;
+        }
+
+        // The zlib header, for deflate with a 32K window.
+        writer.bytes.push(0x78, 0x01);
+
+        // The final block, with fixed Huffman codes.
+        writer.writeBits(1, 1);
+        writer.writeBits(1, 2);
+
+        function hash(position) {
+            return ((bytes[position] << 8) ^ (bytes[position + 1] << 4) ^ bytes[position + 2]) & 0xffff;
+        }
+
+        function insert(position) {
+            if ((position + 2) < n) {
+                var h = hash(position);
+                prev[position % windowSize] = head[h];
+                head[h] = position;
+            }
+        }
+
+        for (var position = 0;
+             position < n;) {
+
+            var bestLength = 0;
+            var bestDistance = 0;
+
+            if ((position + 2) < n) {
+
+                var candidate = head[hash(position)];
+                var maxLength = Math.min(258, n - position);
+
+                for (var chain = 0;
+                     (chain < maxChain) &&
+                     (candidate >= 0) &&
+                     ((position - candidate) <= windowSize);
+                     chain++) {
+
+                    var length = 0;
+                    while ((length < maxLength) &&
+                           (bytes[candidate + length] == bytes[position + length])) {
+                        length++;
+                    }
+
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestDistance = position - candidate;
+                        if (length == maxLength) {
+                            break;
+                        }
+                    }
+
+                    var previous = prev[candidate % windowSize];
+                    if (previous >= candidate) {
+                        break;
+                    }
+                    candidate = previous;
+                }
+
+            }
+
+            if (bestLength >= 3) {
+
+                writeFixedMatch(writer, bestLength, bestDistance);
+
+                for (var end = position + bestLength;
+                     position < end;
+                     position++) {
+                    insert(position);
+                }
+
+            } else {
+
+                writeFixedLiteral(writer, bytes[position]);
+                insert(position);
+                position++;
+
+            }
+
+        }
+
+        // The end of block symbol.
+        writeFixedLiteral(writer, 256);
+        writer.flush();
+
+        var adler = adler32(bytes);
+        writer.bytes.push(
+            (adler >>> 24) & 0xff,
+            (adler >>> 16) & 0xff,
+            (adler >>> 8) & 0xff,
+            adler & 0xff);
+
+        return writer.bytes.getBytes();
+    }
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // Inflate.
+
+
+    // makeHuffman makes a canonical Huffman decoding table from an
+    // array of code lengths, with the count of codes of each length,
+    // and the symbols in code order.
+    function makeHuffman(lengths) {
+
+        var counts = [];
+        var offsets = [0, 0];
+        var symbols = [];
+
+        for (var length = 0; length <= 15; length++) {
+            counts.push(0);
+        }
+
+        for (var symbol = 0, n = lengths.length;
+             symbol < n;
+             symbol++) {
+            counts[lengths[symbol]]++;
+        }
+
+        counts[0] = 0;
+
+        for (var length = 1; length < 15; length++) {
+            offsets[length + 1] = offsets[length] + counts[length];
+        }
+
+        for (var symbol = 0, n = lengths.length;
+             symbol < n;
+             symbol++) {
+            if (lengths[symbol]) {
+                symbols[offsets[lengths[symbol]]++] = symbol;
+            }
+        }
+
+        return {
+            counts: counts,
+            symbols: symbols
+        };
+    }
+
+
+    // The fixed Huffman tables of deflate.
+    var fixedLiteralHuffman = (function() {
+        var lengths = [];
+        for (var symbol = 0; symbol < 288; symbol++) {
+            lengths.push(
+                (symbol < 144) ? 8 :
+                (symbol < 256) ? 9 :
+                (symbol < 280) ? 7 :
+                8);
+        }
+        return makeHuffman(lengths);
+    })();
+
+    var fixedDistanceHuffman = (function() {
+        var lengths = [];
+        for (var symbol = 0; symbol < 30; symbol++) {
+            lengths.push(5);
+        }
+        return makeHuffman(lengths);
+    })();
+
+
+    // inflate decompresses a zlib stream, and returns the bytes, or
+    // null if the stream is invalid.
+    function inflate(bytes) {
+
+        var position = 2;
+        var bitBuffer = 0;
+        var bitCount = 0;
+        var output = [];
+
+        if (((bytes[0] & 0x0f) != 8) ||
+            ((((bytes[0] << 8) | bytes[1]) % 31) != 0)) {
+            return null;
+        }
+
+        function readBits(count) {
+            while (bitCount < count) {
+                if (position >= bytes.length) {
+                    throw new Error('inflate: out of input');
+                }
+                bitBuffer |= bytes[position++] << bitCount;
+                bitCount += 8;
+            }
+            var value = bitBuffer & ((1 << count) - 1);
+            bitBuffer >>>= count;
+            bitCount -= count;
+            return value;
+        }
+
+        function decode(huffman) {
+            var code = 0;
+            var first = 0;
+            var index = 0;
+            for (var length = 1; length <= 15; length++) {
+                code |= readBits(1);
+                var count = huffman.counts[length];
+                if ((code - count) < first) {
+                    return huffman.symbols[index + (code - first)];
+                }
+                index += count;
+                first += count;
+                first <<= 1;
+                code <<= 1;
+            }
+            throw new Error('inflate: bad code');
+        }
+
+        function inflateCodes(literalHuffman, distanceHuffman) {
+            for (;;) {
+                var symbol = decode(literalHuffman);
+                if (symbol < 256) {
+                    output.push(symbol);
+                } else if (symbol == 256) {
+                    return;
+                } else {
+                    symbol -= 257;
+                    if (symbol >= 29) {
+                        throw new Error('inflate: bad length');
+                    }
+                    var length = lengthBases[symbol] + readBits(lengthExtraBits[symbol]);
+                    var distanceSymbol = decode(distanceHuffman);
+                    if (distanceSymbol >= 30) {
+                        throw new Error('inflate: bad distance');
+                    }
+                    var distance = distanceBases[distanceSymbol] + readBits(distanceExtraBits[distanceSymbol]);
+                    if (distance > output.length) {
+                        throw new Error('inflate: distance too far back');
+                    }
+                    for (var start = output.length - distance, i = 0;
+                         i < length;
+                         i++) {
+                        output.push(output[start + i]);
+                    }
+                }
+            }
+        }
+
+        try {
+
+            var last;
+
+            do {
+
+                last = readBits(1);
+                var type = readBits(2);
+
+                switch (type) {
+
+                    case 0:
+                        // A stored block, starting at the next byte.
+                        bitBuffer = 0;
+                        bitCount = 0;
+                        var length = bytes[position] | (bytes[position + 1] << 8);
+                        position += 4;
+                        if ((position + length) > bytes.length) {
+                            return null;
+                        }
+                        for (var i = 0; i < length; i++) {
+                            output.push(bytes[position++]);
+                        }
+                        break;
+
+                    case 1:
+                        inflateCodes(fixedLiteralHuffman, fixedDistanceHuffman);
+                        break;
+
+                    case 2:
+                        var literalCount = readBits(5) + 257;
+                        var distanceCount = readBits(5) + 1;
+                        var codeLengthCount = readBits(4) + 4;
+                        var codeLengths = [];
+
+                        for (var i = 0; i < 19; i++) {
+                            codeLengths.push(0);
+                        }
+
+                        for (var i = 0; i < codeLengthCount; i++) {
+                            codeLengths[codeLengthOrder[i]] = readBits(3);
+                        }
+
+                        var codeLengthHuffman = makeHuffman(codeLengths);
+                        var lengths = [];
+
+                        while (lengths.length < (literalCount + distanceCount)) {
+                            var symbol = decode(codeLengthHuffman);
+                            if (symbol < 16) {
+                                lengths.push(symbol);
+                            } else {
+                                var repeat;
+                                var value = 0;
+                                if (symbol == 16) {
+                                    if (!lengths.length) {
+                                        return null;
+                                    }
+                                    value = lengths[lengths.length - 1];
+                                    repeat = 3 + readBits(2);
+                                } else if (symbol == 17) {
+                                    repeat = 3 + readBits(3);
+                                } else {
+                                    repeat = 11 + readBits(7);
+                                }
+                                while (repeat--) {
+                                    lengths.push(value);
+                                }
+                            }
+                        }
+
+                        inflateCodes(
+                            makeHuffman(lengths.slice(0, literalCount)),
+                            makeHuffman(lengths.slice(literalCount, literalCount + distanceCount)));
+                        break;
+
+                    default:
+                        return null;
+
+                }
+
+            } while (!last);
+
+        } catch (e) {
+            return null;
+        }
+
+        return new Uint8Array(output);
+    }
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // PNG.
+
+
+    // The PNG file signature.
+    var pngSignature = [137, 80, 78, 71, 13, 10, 26, 10];
+
+    // The number of samples per pixel of each PNG colorType.
+    var channelsByColorType = {
+        0: 1,
+        2: 3,
+        3: 1,
+        4: 2,
+        6: 4
+    };
+
+
+    // latin1ToBytes returns the bytes of a string of Latin-1
+    // characters. Other characters become '?'.
+    function latin1ToBytes(text) {
+
+        var bytes = [];
+
+        for (var i = 0, n = text.length;
+             i < n;
+             i++) {
+            var c = text.charCodeAt(i);
+            bytes.push((c < 256) ? c : 63);
+        }
+
+        return bytes;
+    }
+
+
+    // bytesToLatin1 returns a string of the bytes as Latin-1
+    // characters.
+    function bytesToLatin1(bytes, start, end) {
+
+        var text = '';
+
+        for (var i = start;
+             i < end;
+             i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+
+        return text;
+    }
+
+
+    // writeChunk appends a PNG chunk of a type and data to a byte
+    // writer, with its length and CRC.
+    function writeChunk(output, type, data) {
+
+        var length = data.length;
+
+        output.push(
+            (length >>> 24) & 0xff,
+            (length >>> 16) & 0xff,
+            (length >>> 8) & 0xff,
+            length & 0xff);
+
+        var start = output.length;
+
+        for (var i = 0; i < 4; i++) {
+            output.push(type.charCodeAt(i));
+        }
+
+        output.pushBytes(data);
+
+        var crc = crc32(output.bytes, start, output.length);
+
+        output.push(
+            (crc >>> 24) & 0xff,
+            (crc >>> 16) & 0xff,
+            (crc >>> 8) & 0xff,
+            crc & 0xff);
+    }
+
+
+    // encode returns the bytes of a PNG file of an image, with a tEXt
+    // chunk for each key of image.text. Text values that aren't
+    // strings are written as JSON, and characters beyond Latin-1 are
+    // escaped as \uXXXX.
+    function encode(image) {
+
+        var width = image.width;
+        var height = image.height;
+        var channels = channelsByColorType[image.colorType];
+        var pixels = image.pixels;
+        var rowLength = width * channels;
+        var filtered = new Uint8Array((rowLength + 1) * height);
+
+        // Each row starts with filter type 0, for no filter.
+        for (var y = 0, pixelIndex = 0, filteredIndex = 0;
+             y < height;
+             y++) {
+
+            filtered[filteredIndex++] = 0;
+
+            for (var x = 0;
+                 x < rowLength;
+                 x++) {
+                filtered[filteredIndex++] = pixels[pixelIndex++];
+            }
+
+        }
+
+        var output = makeByteWriter(filtered.length + 1024);
+
+        output.pushBytes(pngSignature);
+
+        writeChunk(output, 'IHDR', [
+            (width >>> 24) & 0xff, (width >>> 16) & 0xff, (width >>> 8) & 0xff, width & 0xff,
+            (height >>> 24) & 0xff, (height >>> 16) & 0xff, (height >>> 8) & 0xff, height & 0xff,
+            8, image.colorType, 0, 0, 0
+        ]);
+
+        var text = image.text || {};
+
+        for (var key in text) {
+
+            var value = text[key];
+
+            if (typeof value != 'string') {
+                value = JSON.stringify(value);
+            }
+
+            value = value.replace(/[\u0100-\uffff]/g, function(c) {
+                return '\\u' + ('000' + c.charCodeAt(0).toString(16)).slice(-4);
+            });
+
+            writeChunk(
+                output,
+                'tEXt',
+                latin1ToBytes(key.slice(0, 79))
+                    .concat([0])
+                    .concat(latin1ToBytes(value)));
+
+        }
+
+        writeChunk(output, 'IDAT', deflate(filtered));
+        writeChunk(output, 'IEND', []);
+
+        return output.getBytes();
+    }
+
+
+    // paeth is the Paeth predictor of the PNG filters.
+    function paeth(a, b, c) {
+
+        var p = a + b - c;
+        var pa = Math.abs(p - a);
+        var pb = Math.abs(p - b);
+        var pc = Math.abs(p - c);
+
+        if ((pa <= pb) && (pa <= pc)) {
+            return a;
+        }
+
+        return (pb <= pc) ? b : c;
+    }
+
+
+    // decode reads the bytes of a PNG file, and returns an image, or
+    // null if it is not an 8 bit non interlaced PNG. Palette images
+    // are expanded to truecolor, or to truecolor with alpha if they
+    // have a tRNS chunk.
+    function decode(bytes) {
+
+        for (var i = 0; i < 8; i++) {
+            if (bytes[i] != pngSignature[i]) {
+                return null;
+            }
+        }
+
+        var position = 8;
+        var width = 0;
+        var height = 0;
+        var colorType = -1;
+        var palette = null;
+        var transparency = null;
+        var idat = [];
+        var text = {};
+
+        while ((position + 8) <= bytes.length) {
+
+            var length =
+                ((bytes[position] << 24) |
+                 (bytes[position + 1] << 16) |
+                 (bytes[position + 2] << 8) |
+                 bytes[position + 3]) >>> 0;
+            var type = bytesToLatin1(bytes, position + 4, position + 8);
+            var start = position + 8;
+            var end = start + length;
+
+            if ((end + 4) > bytes.length) {
+                return null;
+            }
+
+            switch (type) {
+
+                case 'IHDR':
+                    width =
+                        ((bytes[start] << 24) | (bytes[start + 1] << 16) |
+                         (bytes[start + 2] << 8) | bytes[start + 3]) >>> 0;
+                    height =
+                        ((bytes[start + 4] << 24) | (bytes[start + 5] << 16) |
+                         (bytes[start + 6] << 8) | bytes[start + 7]) >>> 0;
+                    colorType = bytes[start + 9];
+                    if ((bytes[start + 8] != 8) ||
+                        (bytes[start + 12] != 0) ||
+                        !channelsByColorType[colorType]) {
+                        return null;
+                    }
+                    break;
+
+                case 'PLTE':
+                    palette = bytes.subarray ? bytes.subarray(start, end) : bytes.slice(start, end);
+                    break;
+
+                case 'tRNS':
+                    transparency = bytes.subarray ? bytes.subarray(start, end) : bytes.slice(start, end);
+                    break;
+
+                case 'IDAT':
+                    for (var i = start; i < end; i++) {
+                        idat.push(bytes[i]);
+                    }
+                    break;
+
+                case 'tEXt':
+                case 'zTXt':
+                    var separator = start;
+                    while ((separator < end) && bytes[separator]) {
+                        separator++;
+                    }
+                    var keyword = bytesToLatin1(bytes, start, separator);
+                    if (type == 'tEXt') {
+                        text[keyword] = bytesToLatin1(bytes, separator + 1, end);
+                    } else {
+                        var inflated = inflate(bytes.slice(separator + 2, end));
+                        if (inflated) {
+                            text[keyword] = bytesToLatin1(inflated, 0, inflated.length);
+                        }
+                    }
+                    break;
+
+            }
+
+            position = end + 4;
+
+            if (type == 'IEND') {
+                break;
+            }
+
+        }
+
+        var channels = channelsByColorType[colorType];
+        var filtered = inflate(idat);
+
+        if (!channels ||
+            !filtered ||
+            ((colorType == 3) && !palette)) {
+            return null;
+        }
+
+        var rowLength = width * channels;
+
+        if (filtered.length < ((rowLength + 1) * height)) {
+            return null;
+        }
+
+        var samples = new Uint8Array(rowLength * height);
+
+        for (var y = 0, filteredIndex = 0, sampleIndex = 0;
+             y < height;
+             y++) {
+
+            var filterType = filtered[filteredIndex++];
+
+            for (var x = 0;
+                 x < rowLength;
+                 x++, sampleIndex++) {
+
+                var raw = filtered[filteredIndex++];
+                var a = (x >= channels) ? samples[sampleIndex - channels] : 0;
+                var b = (y > 0) ? samples[sampleIndex - rowLength] : 0;
+                var c = ((x >= channels) && (y > 0)) ? samples[sampleIndex - rowLength - channels] : 0;
+
+                switch (filterType) {
+                    case 1: raw += a; break;
+                    case 2: raw += b; break;
+                    case 3: raw += (a + b) >> 1; break;
+                    case 4: raw += paeth(a, b, c); break;
+                }
+
+                samples[sampleIndex] = raw & 0xff;
+            }
+
+        }
+
+        if (colorType == 3) {
+
+            var paletteChannels = transparency ? 4 : 3;
+            var pixels = new Uint8Array(width * height * paletteChannels);
+
+            for (var i = 0, pixelIndex = 0, n = width * height;
+                 i < n;
+                 i++) {
+
+                var entry = samples[i];
+                pixels[pixelIndex++] = palette[(entry * 3)];
+                pixels[pixelIndex++] = palette[(entry * 3) + 1];
+                pixels[pixelIndex++] = palette[(entry * 3) + 2];
+                if (transparency) {
+                    pixels[pixelIndex++] = (entry < transparency.length) ? transparency[entry] : 255;
+                }
+
+            }
+
+            samples = pixels;
+            colorType = transparency ? 6 : 2;
+        }
+
+        return {
+            width: width,
+            height: height,
+            colorType: colorType,
+            pixels: samples,
+            text: text
+        };
+    }
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // Cells.
+
+
+    // cellsToImage makes an image of the cellData of a width and
+    // height. If colorMap is null, the pixels are the raw cell bytes,
+    // as grayscale, else they are the colors of the cells in the
+    // colorMap, an array of the red, green, blue and alpha bytes of
+    // each cell value, as truecolor.
+    function cellsToImage(cellData, width, height, colorMap) {
+
+        var cellCount = width * height;
+        var pixels;
+
+        if (!colorMap) {
+
+            pixels = new Uint8Array(cellCount);
+
+            for (var i = 0;
+                 i < cellCount;
+                 i++) {
+                pixels[i] = cellData[i];
+            }
+
+        } else {
+
+            pixels = new Uint8Array(cellCount * 3);
+
+            for (var i = 0, pixelIndex = 0;
+                 i < cellCount;
+                 i++) {
+
+                var colorMapIndex = cellData[i] * 4;
+                pixels[pixelIndex++] = colorMap[colorMapIndex];
+                pixels[pixelIndex++] = colorMap[colorMapIndex + 1];
+                pixels[pixelIndex++] = colorMap[colorMapIndex + 2];
+
+            }
+
+        }
+
+        return {
+            width: width,
+            height: height,
+            colorType: colorMap ? 2 : 0,
+            pixels: pixels,
+            text: {}
+        };
+    }
+
+
+    // imageToCells returns the cellData of an image. Grayscale images
+    // are raw cell bytes, and the colors of other images are mapped
+    // back to the first cell value with that color in the colorMap,
+    // or the cell value with the nearest color.
+    function imageToCells(image, colorMap) {
+
+        var cellCount = image.width * image.height;
+        var pixels = image.pixels;
+        var channels = channelsByColorType[image.colorType];
+        var cellData = [];
+
+        if ((image.colorType == 0) ||
+            (image.colorType == 4)) {
+
+            for (var i = 0;
+                 i < cellCount;
+                 i++) {
+                cellData.push(pixels[i * channels]);
+            }
+
+            return cellData;
+        }
+
+        var cellByColor = {};
+
+        for (var cell = 255;
+             cell >= 0;
+             cell--) {
+            var colorMapIndex = cell * 4;
+            cellByColor[
+                (colorMap[colorMapIndex] << 16) |
+                (colorMap[colorMapIndex + 1] << 8) |
+                colorMap[colorMapIndex + 2]] = cell;
+        }
+
+        for (var i = 0, pixelIndex = 0;
+             i < cellCount;
+             i++, pixelIndex += channels) {
+
+            var red = pixels[pixelIndex];
+            var green = pixels[pixelIndex + 1];
+            var blue = pixels[pixelIndex + 2];
+            var color = (red << 16) | (green << 8) | blue;
+            var cell = cellByColor[color];
+
+            if (cell === undefined) {
+
+                // Find the nearest color, and remember it.
+                var nearestDistance = Infinity;
+
+                for (var c = 0;
+                     c < 256;
+                     c++) {
+
+                    var colorMapIndex = c * 4;
+                    var dr = colorMap[colorMapIndex] - red;
+                    var dg = colorMap[colorMapIndex + 1] - green;
+                    var db = colorMap[colorMapIndex + 2] - blue;
+                    var distance = (dr * dr) + (dg * dg) + (db * db);
+
+                    if (distance < nearestDistance) {
+                        nearestDistance = distance;
+                        cell = c;
+                    }
+
+                }
+
+                cellByColor[color] = cell;
+            }
+
+            cellData.push(cell);
+        }
+
+        return cellData;
+    }
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // Animations.
+
+
+    // writeUint16 appends a 16 bit number to a byte writer, least
+    // significant byte first, as GIF and zip files store them.
+    function writeUint16(output, value) {
+        output.push(
+            value & 0xff,
+            (value >>> 8) & 0xff);
+    }
+
+
+    // writeUint32 appends a 32 bit number to a byte writer, least
+    // significant byte first.
+    function writeUint32(output, value) {
+        output.push(
+            value & 0xff,
+            (value >>> 8) & 0xff,
+            (value >>> 16) & 0xff,
+            (value >>> 24) & 0xff);
+    }
+
+
+    // writeColorTable appends the red, green and blue bytes of the 256
+    // colors of a colorMap to a byte writer, as a GIF color table.
+    function writeColorTable(output, colorMap) {
+
+        for (var cell = 0;
+             cell < 256;
+             cell++) {
+
+            var colorMapIndex = cell * 4;
+            output.push(
+                colorMap[colorMapIndex],
+                colorMap[colorMapIndex + 1],
+                colorMap[colorMapIndex + 2]);
+
+        }
+
+    }
+
+
+    // sameColorTable returns true if two colorMaps have the same red,
+    // green and blue bytes, ignoring alpha.
+    function sameColorTable(colorMap1, colorMap2) {
+
+        for (var i = 0;
+             i < 1024;
+             i++) {
+            if (((i & 3) != 3) &&
+                (colorMap1[i] != colorMap2[i])) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+
+    // lzwEncode compresses the 8 bit color indices of a GIF frame with
+    // variable length LZW codes of up to 12 bits, and appends them to
+    // a byte writer in sub-blocks of up to 255 bytes. The string
+    // table is an open addressed hash table of prefix codes and
+    // indices, and is cleared whenever it fills up.
+    function lzwEncode(output, indices) {
+
+        var hashSize = 16411;
+        var hashKeys = new Int32Array(hashSize);
+        var hashCodes = new Int32Array(hashSize);
+        var clearCode = 256;
+        var endCode = 257;
+        var nextCode = 258;
+        var codeSize = 9;
+        var n = indices.length;
+        var writer = makeBitWriter(makeByteWriter(n));
+
+        function clearTable() {
+            for (var i = 0; i < hashSize; i++) {
+                hashKeys[i] = -1;
+            }
+            nextCode = 258;
+            codeSize = 9;
+        }
+
+        clearTable();
+        writer.writeBits(clearCode, codeSize);
+
+        var prefix = indices[0];
+
+        for (var i = 1;
+             i < n;
+             i++) {
+
+            var index = indices[i];
+            var key = (index << 12) | prefix;
+            var hash = key % hashSize;
+            var found = false;
+
+            while (hashKeys[hash] >= 0) {
+                if (hashKeys[hash] == key) {
+                    found = true;
+                    break;
+                }
+                hash = (hash + 1) % hashSize;
+            }
+
+            if (found) {
+                prefix = hashCodes[hash];
+                continue;
+            }
+
+            writer.writeBits(prefix, codeSize);
+
+            if (nextCode < 4096) {
+
+                hashKeys[hash] = key;
+                hashCodes[hash] = nextCode++;
+
+                // The decoder adds each code one code later, so it
+                // needs the wider codes once the last code is used.
+                if (nextCode > (1 << codeSize)) {
+                    codeSize++;
+                }
+
+            } else {
+
+                writer.writeBits(clearCode, codeSize);
+                clearTable();
+
+            }
+
+            prefix = index;
+        }
+
+        if (n) {
+            writer.writeBits(prefix, codeSize);
+        }
+
+        writer.writeBits(endCode, codeSize);
+        writer.flush();
+
+        var bytes = writer.bytes.getBytes();
+
+        for (var start = 0;
+             start < bytes.length;
+             start += 255) {
+
+            var end = Math.min(start + 255, bytes.length);
+            output.push(end - start);
+            output.pushBytes(bytes.subarray(start, end));
+
+        }
+
+        output.push(0);
+    }
+
+
+    // encodeGIF returns the bytes of a looping animated GIF file of
+    // frames of cells of a width and height. Each frame is a dict of
+    // the cellData and the colorMap to color it with, so the cell
+    // values are the color indices. The first frame's colorMap is the
+    // global color table, and frames with different colors have their
+    // own color table. The delay between frames is in milliseconds,
+    // which GIF rounds to hundredths of a second.
+    function encodeGIF(frames, width, height, delay) {
+
+        var output = makeByteWriter((width * height * frames.length) >> 2);
+        var globalColorMap = frames.length ? frames[0].colorMap : null;
+
+        output.pushBytes(latin1ToBytes('GIF89a'));
+
+        writeUint16(output, width);
+        writeUint16(output, height);
+        output.push(
+            globalColorMap ? 0xf7 : 0x70, // Global color table of 256 colors, 8 bits per color.
+            0, // Background color index.
+            0); // Pixel aspect ratio.
+
+        if (globalColorMap) {
+            writeColorTable(output, globalColorMap);
+        }
+
+        // The NETSCAPE2.0 application extension loops forever.
+        output.push(0x21, 0xff, 11);
+        output.pushBytes(latin1ToBytes('NETSCAPE2.0'));
+        output.push(3, 1);
+        writeUint16(output, 0);
+        output.push(0);
+
+        for (var frameIndex = 0, frameCount = frames.length;
+             frameIndex < frameCount;
+             frameIndex++) {
+
+            var frame = frames[frameIndex];
+            var localColorMap =
+                sameColorTable(frame.colorMap, globalColorMap)
+                    ? null
+                    : frame.colorMap;
+
+            // The graphic control extension, with the delay, and
+            // the disposal method to leave the frame in place.
+            output.push(0x21, 0xf9, 4, 0x04);
+            writeUint16(output, Math.round((delay || 0) / 10));
+            output.push(0, 0);
+
+            // The image descriptor.
+            output.push(0x2c);
+            writeUint16(output, 0);
+            writeUint16(output, 0);
+            writeUint16(output, width);
+            writeUint16(output, height);
+            output.push(localColorMap ? 0x87 : 0);
+
+            if (localColorMap) {
+                writeColorTable(output, localColorMap);
+            }
+
+            // The minimum LZW code size, and the image data.
+            output.push(8);
+            lzwEncode(output, frame.cellData);
+
+        }
+
+        output.push(0x3b);
+
+        return output.getBytes();
+    }
+
+
+    // dosDateTime returns the MS-DOS time and date of a Date, as zip
+    // files store them.
+    function dosDateTime(date) {
+        return {
+            time:
+                (date.getHours() << 11) |
+                (date.getMinutes() << 5) |
+                (date.getSeconds() >> 1),
+            date:
+                ((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+                ((date.getMonth() + 1) << 5) |
+                date.getDate()
+        };
+    }
+
+
+    // encodeZip returns the bytes of a zip file of an array of files,
+    // which are dicts of a name and the bytes of the file. The files
+    // are stored uncompressed, since they're usually compressed
+    // images already.
+    function encodeZip(files) {
+
+        var filesSize = 0;
+        var centralDirectorySize = 0;
+
+        for (var fileIndex = 0, fileCount = files.length;
+             fileIndex < fileCount;
+             fileIndex++) {
+            filesSize += 30 + files[fileIndex].name.length + files[fileIndex].bytes.length;
+            centralDirectorySize += 46 + files[fileIndex].name.length;
+        }
+
+        var output = makeByteWriter(filesSize + centralDirectorySize + 22);
+        var centralDirectory = makeByteWriter(centralDirectorySize);
+        var dateTime = dosDateTime(new Date());
+
+        for (var fileIndex = 0, fileCount = files.length;
+             fileIndex < fileCount;
+             fileIndex++) {
+
+            var file = files[fileIndex];
+            var name = latin1ToBytes(file.name);
+            var bytes = file.bytes;
+            var size = bytes.length;
+            var crc = crc32(bytes, 0, size);
+            var offset = output.length;
+
+            // The local file header.
+            writeUint32(output, 0x04034b50);
+            writeUint16(output, 20); // Version needed to extract.
+            writeUint16(output, 0); // Flags.
+            writeUint16(output, 0); // Compression method: stored.
+            writeUint16(output, dateTime.time);
+            writeUint16(output, dateTime.date);
+            writeUint32(output, crc);
+            writeUint32(output, size);
+            writeUint32(output, size);
+            writeUint16(output, name.length);
+            writeUint16(output, 0); // Extra field length.
+            output.pushBytes(name);
+            output.pushBytes(bytes);
+
+            // The central directory header.
+            writeUint32(centralDirectory, 0x02014b50);
+            writeUint16(centralDirectory, 20); // Version made by.
+            writeUint16(centralDirectory, 20); // Version needed to extract.
+            writeUint16(centralDirectory, 0); // Flags.
+            writeUint16(centralDirectory, 0); // Compression method: stored.
+            writeUint16(centralDirectory, dateTime.time);
+            writeUint16(centralDirectory, dateTime.date);
+            writeUint32(centralDirectory, crc);
+            writeUint32(centralDirectory, size);
+            writeUint32(centralDirectory, size);
+            writeUint16(centralDirectory, name.length);
+            writeUint16(centralDirectory, 0); // Extra field length.
+            writeUint16(centralDirectory, 0); // File comment length.
+            writeUint16(centralDirectory, 0); // Disk number.
+            writeUint16(centralDirectory, 0); // Internal file attributes.
+            writeUint32(centralDirectory, 0); // External file attributes.
+            writeUint32(centralDirectory, offset);
+            centralDirectory.pushBytes(name);
+
+        }
+
+        var centralDirectoryOffset = output.length;
+
+        output.pushBytes(centralDirectory.getBytes());
+
+        // The end of central directory record.
+        writeUint32(output, 0x06054b50);
+        writeUint16(output, 0); // Disk number.
+        writeUint16(output, 0); // Disk with the central directory.
+        writeUint16(output, files.length);
+        writeUint16(output, files.length);
+        writeUint32(output, centralDirectory.length);
+        writeUint32(output, centralDirectoryOffset);
+        writeUint16(output, 0); // Comment length.
+
+        return output.getBytes();
+    }
+
+
+    // encodePNGZip returns the bytes of a zip file of numbered PNG
+    // files of frames of cells, like encodeGIF takes, colored by each
+    // frame's colorMap. The files are named by the baseName, and the
+    // frame number padded to 4 digits.
+    function encodePNGZip(frames, width, height, baseName) {
+
+        var files = [];
+
+        for (var frameIndex = 0, frameCount = frames.length;
+             frameIndex < frameCount;
+             frameIndex++) {
+
+            var frame = frames[frameIndex];
+            var number = '' + frameIndex;
+
+            while (number.length < 4) {
+                number = '0' + number;
+            }
+
+            files.push({
+                name: (baseName || 'frame') + '-' + number + '.png',
+                bytes:
+                    encode(
+                        cellsToImage(
+                            frame.cellData,
+                            width,
+                            height,
+                            frame.colorMap))
+            });
+
+        }
+
+        return encodeZip(files);
+    }
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // Params.
+
+
+    // isValidParamValue returns true if paramValue is a value that the
+    // param of cam described by paramMetaData can be set to. Symbol
+    // values must name an object of the param's type, which
+    // paramValueToWidgetValue looks up (and fails to find, one way or
+    // another, if it doesn't exist).
+    function isValidParamValue(cam, paramMetaData, paramValue) {
+
+        switch (paramMetaData.type) {
+
+            case 'symbol':
+
+                if (typeof paramValue != 'string') {
+                    return false;
+                }
+
+                if (!paramMetaData.paramValueToWidgetValueFunction) {
+                    return true;
+                }
+
+                try {
+                    var widgetValue =
+                        paramMetaData.paramValueToWidgetValueFunction.call(
+                            cam, paramMetaData, cam, paramValue);
+                    return (widgetValue !== undefined) && (widgetValue !== null);
+                } catch (e) {
+                    return false;
+                }
+
+            case 'integer':
+            case 'float':
+                return (typeof paramValue == 'number') && isFinite(paramValue);
+
+            case 'boolean':
+                return typeof paramValue == 'boolean';
+
+            case 'string':
+                return (typeof paramValue == 'string') &&
+                    (!paramMetaData.isValidValueFunction ||
+                     paramMetaData.isValidValueFunction.call(
+                         cam, paramMetaData, cam, paramValue));
+
+        }
+
+        return true;
+    }
+
+
+    // isSavedParam returns true if the param described by
+    // paramMetaData is saved in images: it must be recordable, but not
+    // transient, like the mouse position and button, which scripts
+    // record to play tools back, but mean nothing in a still image.
+    function isSavedParam(paramMetaData) {
+
+        return !!(paramMetaData &&
+                  paramMetaData.recordable &&
+                  !paramMetaData.transient);
+    }
+
+
+    // paramsToText saves the recordable params of cam as JSON in the
+    // text dict of an image, one tEXt chunk per param.
+    function paramsToText(cam, text) {
+
+        for (var i = 0, n = cam.paramMetaData_objects.length;
+             i < n;
+             i++) {
+
+            var paramMetaData = cam.paramMetaData_objects[i];
+            var paramValue = cam[paramMetaData.param];
+
+            if (isSavedParam(paramMetaData) &&
+                (paramValue !== undefined)) {
+                text[paramMetaData.param] = JSON.stringify(paramValue);
+            }
+
+        }
+
+        return text;
+    }
+
+
+    // textToParams restores the recordable params of cam from the text
+    // dict of an image made by paramsToText. Other keywords are
+    // ignored, and params with values this version can't use are
+    // dropped, with a description pushed onto the optional problems
+    // array.
+    function textToParams(cam, text, problems) {
+
+        for (var key in text) {
+
+            var paramMetaData = cam.get_paramMetaData_by_param(key);
+
+            if (!isSavedParam(paramMetaData)) {
+                continue;
+            }
+
+            var paramValue;
+
+            try {
+                paramValue = JSON.parse(text[key]);
+            } catch (e) {
+                paramValue = undefined;
+            }
+
+            if (!isValidParamValue(cam, paramMetaData, paramValue)) {
+                if (problems) {
+                    problems.push('Dropped parameter "' + key + '", which has a value that this version can not use.');
+                }
+                continue;
+            }
+
+            cam.setValue(cam, key, paramValue);
+
+        }
+
+    }
+
+
+    ////////////////////////////////////////////////////////////////////////
+    // Export CAMPNG to module.exports when required by Node, or to the
+    // window in the browser.
+
+
+    var CAMPNG = {
+        encode: encode,
+        decode: decode,
+        cellsToImage: cellsToImage,
+        imageToCells: imageToCells,
+        encodeGIF: encodeGIF,
+        encodeZip: encodeZip,
+        encodePNGZip: encodePNGZip,
+        isValidParamValue: isValidParamValue,
+        isSavedParam: isSavedParam,
+        paramsToText: paramsToText,
+        textToParams: textToParams,
+        deflate: deflate,
+        inflate: inflate,
+        crc32: crc32,
+        adler32: adler32
+    };
+
+    if ((typeof module != 'undefined') &&
+        module.exports) {
+        module.exports = CAMPNG;
+    } else {
+        window.CAMPNG = CAMPNG;
+    }
+
+
+})();
+
+
+////////////////////////////////////////////////////////////////////////
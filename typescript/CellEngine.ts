@@ -2,13 +2,1041 @@
 // CellEngine.ts
 //
 // Reimplementation of the CAM6 cellular automata machine simulator in TypeScript by Don Hopkins.
+//
+// This is the typed core of the simulator: the type dictionaries
+// that CAM6.js defines with defineType (neighborhoods, rules, color
+// maps, tools and parameter metadata), double buffered cell storage
+// with a gutter around the edges, and the loop that wraps the edges
+// and applies the rule's neighborhood function to step the cells.
+//
+// There is no user interface in here. Plugins and front ends build
+// on top of it, and get compile time checking from the declarations
+// that tsc emits next to the JavaScript (see tsconfig.json).
 
 
 ////////////////////////////////////////////////////////////////////////
+// Type dictionaries.
+//
+// These interfaces mirror the dictionaries passed to defineType in
+// CAM6.js. The functions are called with the engine as "this", just
+// like CAM6.js calls them with the CAM6 instance as "this".
+
+
+// A TypeSymbol is a string that identifies an object of some type.
+type TypeSymbol = string;
+
+
+// A Cells is a buffer of eight bit cells, including the gutter.
+type Cells = Uint8Array;
+
+
+// A CellState maps neighbor names like 'c0' or 'nw0' to bit values.
+interface CellState {
+    [neighbor: string]: number;
+}
+
+
+// A ParamsUsed dictionary has a key for each param used by a rule or
+// tool. The value is true if the param is continuously tracked
+// (like mouseX), or false if it's only read when the tool begins.
+interface ParamsUsed {
+    [paramKey: string]: boolean;
+}
+
+
+// A TypeObject is anything that can be put in a TypeRegistry.
+interface TypeObject {
+    symbol: TypeSymbol;
+    name?: string;
+    description?: string;
+    handleIndexGetFunction?: (
+        this: CellEngine,
+        typeRegistry: TypeRegistry<TypeObject>,
+        indexKey: string,
+        key: any,
+        objectDict: TypeObject) => void;
+}
+
+
+// A Neighborhood iterates over the cells and transforms the previous
+// state into the next state.
+interface Neighborhood extends TypeObject {
+
+    // The names of the neighbors, in the order of the bits of the
+    // lookup table index. The rule's ruleFunction is called with
+    // each combination of neighbor values by compileRule.
+    neighbors?: string[];
+
+    // The neighborhoodFunction reads getCells() and writes getNextCells().
+    neighborhoodFunction: NeighborhoodFunction;
+
+}
+
+
+type NeighborhoodFunction = (
+    this: CellEngine,
+    neighborhoodDict: Neighborhood,
+    ruleDict: Rule) => void;
+
+
+// A Rule uses and parameterizes one particular neighborhood.
+interface Rule extends TypeObject {
+
+    // The symbol of the neighborhood this rule uses.
+    neighborhood: TypeSymbol;
+
+    // The pie menu this rule appears in.
+    pie?: string;
+
+    // Cell values the drawing tools offer with this rule.
+    toolCells?: number[];
+
+    // The params the user can change with this rule.
+    paramsUsed?: ParamsUsed;
+
+    // The bits of the cell used by the rule itself.
+    mask?: number;
+
+    // Shifts for the Echo and Heat effects, or 0 to disable them.
+    echoShift?: number;
+    heatShift?: number;
+    heatErrorShift?: number;
+
+    // Orientation for the Margolus neighborhood.
+    orientation?: string;
+
+    // The personality of Brian's Brain style rules.
+    personality?: string;
+
+    // Kernel symbols for the Marble neighborhood.
+    kernelSymbols?: string[];
+
+    // The ruleFunction maps a state of neighbor bits to a cell value.
+    ruleFunction?: RuleFunction;
+
+    // An explicit lookup table, used instead of the ruleFunction.
+    ruleTable?: ArrayLike<number>;
+
+    // The compiled lookup table, cached by compileRule.
+    ruleTableBytes?: Uint8Array;
+
+}
+
+
+type RuleFunction = (ruleDict: Rule, state: CellState) => number;
+
+
+// A Color is [red, green, blue, alpha], each from 0 to 255.
+type Color = number[];
+
+
+// A Fade is [startIndex, endIndex, startAlpha, endAlpha, step].
+type Fade = number[];
+
+
+// A ColorMap maps the 256 eight bit cell values to colors.
+interface ColorMap extends TypeObject {
+    defaultColors?: Color[];
+    specialColors?: Color[];
+    darkStart?: number;
+    darkStep?: number;
+    lightStart?: number;
+    lightStep?: number;
+    fades?: Fade[];
+}
+
+
+// An ActiveTool holds a tool's params while the tool is in use.
+interface ActiveTool {
+    toolSymbol: TypeSymbol;
+    [paramKey: string]: any;
+}
+
+
+type ToolFunction = (
+    this: CellEngine,
+    toolDict: Tool,
+    activeToolDict: ActiveTool,
+    cells: Cells) => void;
+
+
+type ToolBeginEndFunction = (
+    this: CellEngine,
+    toolDict: Tool,
+    activeToolDict: ActiveTool) => void;
+
+
+// A Tool draws into the cells.
+interface Tool extends TypeObject {
+
+    // The context the tool draws into: 'cells' or 'canvas'.
+    context?: string;
+
+    // Whether to repeat the tool around the wrapped edges.
+    wraplicate?: boolean;
+
+    // Whether the tool draws into the composition or feedback overlay.
+    compositionOverlay?: boolean;
+    feedbackOverlay?: boolean;
+    overlayFunctionSymbol?: TypeSymbol;
+
+    // The params the tool uses.
+    paramsUsed?: ParamsUsed;
+
+    beginToolFunction?: ToolBeginEndFunction;
+    endToolFunction?: ToolBeginEndFunction;
+    beforeToolFunction?: ToolFunction;
+    afterToolFunction?: ToolFunction;
+    toolFunction: ToolFunction;
+
+}
+
+
+// A TopologyEdge says what happens to a coordinate that goes off one
+// edge: 'wrap' wraps it around to the opposite edge, 'reflect'
+// mirrors it back across the edge cell, 'clamp' sticks it to the
+// edge cell, and 'constant' ignores it and fills the gutter with the
+// topologyBorderCell.
+type TopologyEdge = 'wrap' | 'constant' | 'reflect' | 'clamp';
+
+
+// A Topology controls how wrapCells fills the gutter around the
+// edges of the cells. The flips twist the wrapped edges: flipXAcrossY
+// flips x when wrapping across the top and bottom edges, and
+// flipYAcrossX flips y when wrapping across the left and right edges.
+interface Topology extends TypeObject {
+    edge: TopologyEdge;
+    flipXAcrossY: boolean;
+    flipYAcrossX: boolean;
+}
+
+
+// A ParamType is the type of the value of a param.
+type ParamType = 'symbol' | 'integer' | 'float' | 'boolean' | 'string';
+
+
+// A ParamMetaData describes a param that the user can change, and
+// that scripts can record and play back.
+interface ParamMetaData {
+
+    param: string;
+    name: string;
+    description: string;
+    type: ParamType;
+
+    // The groups the param belongs to, like 'camParams' or 'ruleParams'.
+    scopes: string[];
+
+    recordable?: boolean;
+
+    // The kind of widget and the tab it goes in, if any.
+    widget?: string;
+    tab?: string;
+
+    // Whether the widget should be shown now.
+    condition?: (this: CellEngine, paramMetaData: ParamMetaData) => boolean;
+
+    setValueFunction?: (
+        this: CellEngine,
+        paramMetaData: ParamMetaData,
+        target: any,
+        paramKey: string,
+        paramValue: any,
+        previousParamValue: any) => void;
+
+    getValueNameFunction?: (
+        this: CellEngine,
+        paramMetaData: ParamMetaData,
+        target: any,
+        paramValue: any) => string;
+
+    getValueDescriptionFunction?: (
+        this: CellEngine,
+        paramMetaData: ParamMetaData,
+        target: any,
+        paramValue: any) => string;
+
+    widgetValueToParamValueFunction?: (
+        this: CellEngine,
+        paramMetaData: ParamMetaData,
+        target: any,
+        widgetValue: number) => any;
+
+    paramValueToWidgetValueFunction?: (
+        this: CellEngine,
+        paramMetaData: ParamMetaData,
+        target: any,
+        paramValue: any) => number;
+
+    getMinValueFunction?: (
+        this: CellEngine,
+        paramMetaData: ParamMetaData,
+        target: any) => number;
+
+    getMaxValueFunction?: (
+        this: CellEngine,
+        paramMetaData: ParamMetaData,
+        target: any) => number;
+
+}
+
+
+////////////////////////////////////////////////////////////////////////
+// TypeRegistry is the typed replacement for defineType.
+//
+// It holds a list of objects of one type, indexed by symbol. The
+// get function calls the object's handleIndexGetFunction, if it
+// has one, so it can prepare itself before being used.
+
+
+class TypeRegistry<T extends TypeObject> {
+
+    name: string;
+    objects: T[] = [];
+    by_symbol: {[symbol: string]: T} = {};
+
+    constructor(name: string, objects?: T[]) {
+        this.name = name;
+        if (objects) {
+            this.addObjects(objects);
+        }
+    }
+
+
+    // addObjects adds a list of objects.
+    addObjects(objects: T[]): void {
+        for (var i = 0, n = objects.length;
+             i < n;
+             i++) {
+            this.addObject(objects[i]);
+        }
+    }
+
+
+    // addObject adds an object, replacing any with the same symbol.
+    addObject(object: T): void {
+        var old = this.by_symbol[object.symbol];
+        if (old) {
+            this.removeObject(old);
+        }
+        this.objects.push(object);
+        this.by_symbol[object.symbol] = object;
+    }
+
+
+    // removeObject removes an object.
+    removeObject(object: T): void {
+        var index = this.objects.indexOf(object);
+        if (index >= 0) {
+            this.objects.splice(index, 1);
+        }
+        if (this.by_symbol[object.symbol] === object) {
+            delete this.by_symbol[object.symbol];
+        }
+    }
+
+
+    // get returns the object with the symbol, or null, after calling
+    // its handleIndexGetFunction on the engine if defined.
+    get(engine: CellEngine, symbol: TypeSymbol): T | null {
+        var object = this.by_symbol[symbol] || null;
+        if (object &&
+            object.handleIndexGetFunction) {
+            object.handleIndexGetFunction.call(
+                engine, this, 'symbol', symbol, object);
+        }
+        return object;
+    }
+
+
+    // count returns the number of objects.
+    count(): number {
+        return this.objects.length;
+    }
+
+}
+
+
+////////////////////////////////////////////////////////////////////////
+// CellEngineParams configure a new CellEngine.
+
+
+interface CellEngineParams {
+    cellWidth?: number;
+    cellHeight?: number;
+    cellGutter?: number;
+    ruleSymbol?: TypeSymbol;
+    topologySymbol?: TypeSymbol;
+    topologyBorderCell?: number;
+    stepsPerFrame?: number;
+    neighborhoods?: Neighborhood[];
+    rules?: Rule[];
+    colorMaps?: ColorMap[];
+    tools?: Tool[];
+    topologies?: Topology[];
+    paramMetaData?: ParamMetaData[];
+}
+
+
+////////////////////////////////////////////////////////////////////////
+// Built in neighborhoods and rules.
+//
+// Just enough to run something out of the box. Front ends register
+// the rest of the CAM6 neighborhoods and rules.
+
+
+// neighborhoodFunction_Moore computes a Moore neighborhood rule by
+// table lookup, with the same neighbor bits as the Moore neighborhood
+// in CAM6.js, and optional Echo.
+function neighborhoodFunction_Moore(
+    this: CellEngine,
+    neighborhoodDict: Neighborhood,
+    ruleDict: Rule): void {
+
+    this.compileRule(
+        ruleDict);
+
+    var cells = this.getCells();
+    var nextCells = this.getNextCells();
+    var cellWidth = this.cellWidth;
+    var cellHeight = this.cellHeight;
+    var cellGutter = this.cellGutter;
+    var cellBufferWidth = this.cellBufferWidth;
+    var ruleTableBytes = ruleDict.ruleTableBytes as Uint8Array;
+    var echoShift = ruleDict.echoShift || 0;
+    var phaseTime = this.phaseTime;
+    var cellIndex = (cellGutter * cellBufferWidth) + cellGutter;
+    var nextRowSkip = cellGutter * 2;
+
+    for (var cellY = 0;
+         cellY < cellHeight;
+         cellY++) {
+
+        for (var cellX = 0;
+             cellX < cellWidth;
+             cellX++) {
+
+            var nw = cells[cellIndex - cellBufferWidth - 1];
+            var n  = cells[cellIndex - cellBufferWidth];
+            var ne = cells[cellIndex - cellBufferWidth + 1];
+            var w  = cells[cellIndex - 1];
+            var c  = cells[cellIndex];
+            var e  = cells[cellIndex + 1];
+            var sw = cells[cellIndex + cellBufferWidth - 1];
+            var s  = cells[cellIndex + cellBufferWidth];
+            var se = cells[cellIndex + cellBufferWidth + 1];
+
+            // 0    1    2    3    4    5    6    7    8     9     10    11    12
+            // c0   c1   se0  sw0  ne0  nw0  e0   w0   s0    n0    c2    c3    phaseTime
+            var tableIndex =
+                ((nw & 0x01) << 5) |
+                ((n  & 0x01) << 9) |
+                ((ne & 0x01) << 4) |
+                ((w  & 0x01) << 7) |
+                ((c  & 0x03) << 0) |
+                ((e  & 0x01) << 6) |
+                ((sw & 0x01) << 3) |
+                ((s  & 0x01) << 8) |
+                ((se & 0x01) << 2) |
+                ((c  & 0x0c) << 8) |
+                (phaseTime << 12);
+
+            var cell =
+                ruleTableBytes[tableIndex];
+
+            if (echoShift) {
+                cell |= c << echoShift;
+            }
+
+            nextCells[cellIndex] =
+                cell & 0xff;
+
+            cellIndex++;
+        }
+
+        // Skip the gutter.
+        cellIndex += nextRowSkip;
+    }
+
+}
+
+
+// ruleFunction_Moore_life computes Conway's Life.
+function ruleFunction_Moore_life(ruleDict: Rule, state: CellState): number {
+    var sum8 =
+        state.nw0 + state.n0 + state.ne0 +
+        state.w0  +            state.e0  +
+        state.sw0 + state.s0 + state.se0;
+    return (sum8 == 3)
+        ? 1
+        : (sum8 == 2)
+            ? state.c0
+            : 0;
+}
+
+
+var defaultNeighborhoods: Neighborhood[] = [
+    {
+        symbol: 'Moore',
+        name: 'Moore',
+        description: 'Moore neighborhood.',
+        neighbors: ['c0', 'c1', 'se0', 'sw0', 'ne0', 'nw0', 'e0', 'w0', 's0', 'n0', 'c2', 'c3', 'phaseTime'],
+        neighborhoodFunction: neighborhoodFunction_Moore
+    }
+];
+
+
+var defaultRules: Rule[] = [
+    {
+        symbol: 'Life',
+        name: 'Life',
+        description: 'Conway\'s game of Life.',
+        neighborhood: 'Moore',
+        toolCells: [0, 1],
+        paramsUsed: {},
+        mask: 0x01,
+        echoShift: 0,
+        ruleFunction: ruleFunction_Moore_life
+    },
+    {
+        symbol: 'LifeEcho',
+        name: 'Life Echo',
+        description: 'Conway\'s game of Life with Echo.',
+        neighborhood: 'Moore',
+        toolCells: [0, 1],
+        paramsUsed: {},
+        mask: 0x01,
+        echoShift: 1,
+        ruleFunction: ruleFunction_Moore_life
+    }
+];
+
+
+// The topologies, the same as the topology type in CAM6.js.
+var defaultTopologies: Topology[] = [
+    {
+        symbol: 'torus',
+        name: 'Torus',
+        description: 'Wrap each edge around to the opposite edge.',
+        edge: 'wrap',
+        flipXAcrossY: false,
+        flipYAcrossX: false
+    },
+    {
+        symbol: 'constant',
+        name: 'Constant Border',
+        description: 'Surround the cells with a border of constant cells.',
+        edge: 'constant',
+        flipXAcrossY: false,
+        flipYAcrossX: false
+    },
+    {
+        symbol: 'reflect',
+        name: 'Reflect',
+        description: 'Mirror the cells across the edges.',
+        edge: 'reflect',
+        flipXAcrossY: false,
+        flipYAcrossX: false
+    },
+    {
+        symbol: 'clamp',
+        name: 'Clamp',
+        description: 'Extend the edge cells out beyond the edges.',
+        edge: 'clamp',
+        flipXAcrossY: false,
+        flipYAcrossX: false
+    },
+    {
+        symbol: 'kleinBottle',
+        name: 'Klein Bottle',
+        description: 'Wrap the left and right edges, and wrap the top and bottom edges flipped.',
+        edge: 'wrap',
+        flipXAcrossY: true,
+        flipYAcrossX: false
+    },
+    {
+        symbol: 'projectivePlane',
+        name: 'Projective Plane',
+        description: 'Wrap each edge flipped around to the opposite edge.',
+        edge: 'wrap',
+        flipXAcrossY: true,
+        flipYAcrossX: true
+    }
+];
+
+
+// wrapCoordinate maps a cell coordinate that may be off the edge
+// back onto the cells, according to the topology's edge mode.
+function wrapCoordinate(coordinate: number, size: number, edge: TopologyEdge): number {
+
+    if ((coordinate >= 0) &&
+        (coordinate < size)) {
+        return coordinate;
+    }
+
+    switch (edge) {
+
+        case 'reflect':
+            if (size < 2) {
+                return 0;
+            }
+            var period = 2 * (size - 1);
+            coordinate = ((coordinate % period) + period) % period;
+            return (coordinate < size)
+                ? coordinate
+                : period - coordinate;
+
+        case 'clamp':
+            return Math.max(0, Math.min(size - 1, coordinate));
+
+        default:
+            return ((coordinate % size) + size) % size;
+
+    }
+
+}
+
+
+////////////////////////////////////////////////////////////////////////
+// CellEngine is the typed core of the simulator.
 
 
 class CellEngine {
+
+    // Size of the cells, not including the gutter.
+    cellWidth: number = 256;
+    cellHeight: number = 256;
+
+    // Width of the gutter around the edges, which wrapCells fills
+    // according to the topology.
+    cellGutter: number = 1;
+
+    // Size of the buffers, including the gutter.
+    cellBufferWidth: number = 0;
+    cellBufferHeight: number = 0;
+    cellBufferSize: number = 0;
+
+    // The double buffered cells. The phaseTime selects which buffer
+    // is current. The neighborhood function reads the current buffer
+    // and writes the next buffer, so between steps the newest cells
+    // are in the next buffer, as in CAM6.js.
+    cells0: Cells = new Uint8Array(0);
+    cells1: Cells = new Uint8Array(0);
+    phaseTime: number = 0;
+
+    // The number of steps applied so far. This is the "step" param
+    // in CAM6.js, renamed here so it does not collide with step().
+    stepCount: number = 0;
+
+    // The number of steps to apply per call to applyRule. A fraction
+    // below 1 applies a step with that probability.
+    stepsPerFrame: number = 1;
+
+    ruleSymbol: TypeSymbol = 'Life';
+
+    // The topology of the edges, and the value of the cells beyond
+    // the edges for the constant topology.
+    topologySymbol: TypeSymbol = 'torus';
+    topologyBorderCell: number = 0;
+
+    neighborhoods: TypeRegistry<Neighborhood>;
+    rules: TypeRegistry<Rule>;
+    colorMaps: TypeRegistry<ColorMap>;
+    tools: TypeRegistry<Tool>;
+    topologies: TypeRegistry<Topology>;
+    paramMetaData: {[param: string]: ParamMetaData} = {};
+
+
+    constructor(params?: CellEngineParams) {
+
+        params = params || {};
+
+        this.neighborhoods = new TypeRegistry<Neighborhood>('neighborhood', defaultNeighborhoods);
+        this.rules = new TypeRegistry<Rule>('rule', defaultRules);
+        this.colorMaps = new TypeRegistry<ColorMap>('colorMap');
+        this.tools = new TypeRegistry<Tool>('tool');
+        this.topologies = new TypeRegistry<Topology>('topology', defaultTopologies);
+
+        if (params.neighborhoods) {
+            this.neighborhoods.addObjects(params.neighborhoods);
+        }
+        if (params.rules) {
+            this.rules.addObjects(params.rules);
+        }
+        if (params.colorMaps) {
+            this.colorMaps.addObjects(params.colorMaps);
+        }
+        if (params.tools) {
+            this.tools.addObjects(params.tools);
+        }
+        if (params.topologies) {
+            this.topologies.addObjects(params.topologies);
+        }
+        if (params.paramMetaData) {
+            for (var i = 0, n = params.paramMetaData.length;
+                 i < n;
+                 i++) {
+                var paramMetaData = params.paramMetaData[i];
+                this.paramMetaData[paramMetaData.param] = paramMetaData;
+            }
+        }
+
+        this.cellWidth = params.cellWidth || this.cellWidth;
+        this.cellHeight = params.cellHeight || this.cellHeight;
+        this.cellGutter = params.cellGutter || this.cellGutter;
+        this.ruleSymbol = params.ruleSymbol || this.ruleSymbol;
+        this.topologySymbol = params.topologySymbol || this.topologySymbol;
+        if (params.topologyBorderCell !== undefined) {
+            this.topologyBorderCell = params.topologyBorderCell;
+        }
+        if (params.stepsPerFrame !== undefined) {
+            this.stepsPerFrame = params.stepsPerFrame;
+        }
+
+        this.makeCells();
+
+    }
+
+
+    // makeCells makes the double buffered cells, including the gutter.
+    makeCells(): void {
+
+        this.cellBufferWidth = this.cellWidth + (2 * this.cellGutter);
+        this.cellBufferHeight = this.cellHeight + (2 * this.cellGutter);
+        this.cellBufferSize = this.cellBufferWidth * this.cellBufferHeight;
+        this.cells0 = new Uint8Array(new ArrayBuffer(this.cellBufferSize));
+        this.cells1 = new Uint8Array(new ArrayBuffer(this.cellBufferSize));
+
+    }
+
+
+    // nextPhaseTime toggles the phaseTime.
+    nextPhaseTime(): void {
+        this.phaseTime = this.phaseTime ? 0 : 1;
+    }
+
+
+    // getCells returns the current cells.
+    getCells(): Cells {
+        return this.phaseTime
+            ? this.cells1
+            : this.cells0;
+    }
+
+
+    // getNextCells returns the next cells.
+    getNextCells(): Cells {
+        return this.phaseTime
+            ? this.cells0
+            : this.cells1;
+    }
+
+
+    // getCellIndex returns the buffer index of the cell at x, y.
+    getCellIndex(x: number, y: number): number {
+        return (x + this.cellGutter) +
+               ((y + this.cellGutter) * this.cellBufferWidth);
+    }
+
+
+    // setCells sets the cells width, height and data, in both buffers.
+    setCells(cellData: ArrayLike<number>, cellWidth: number, cellHeight: number): void {
+
+        this.cellWidth = cellWidth;
+        this.cellHeight = cellHeight;
+        this.makeCells();
+
+        var cellGutter = this.cellGutter;
+        var cellIndex = (cellGutter * this.cellBufferWidth) + cellGutter;
+        var dataIndex = 0;
+        var cells0 = this.cells0;
+        var cells1 = this.cells1;
+
+        for (var cellY = 0;
+             cellY < cellHeight;
+             cellY++) {
+
+            for (var cellX = 0;
+                 cellX < cellWidth;
+                 cellX++) {
+
+                cells0[cellIndex] = cells1[cellIndex] = cellData[dataIndex];
+                cellIndex++;
+                dataIndex++;
+
+            }
+
+            cellIndex += 2 * cellGutter;
+
+        }
+
+        this.wrapCells();
+        this.nextPhaseTime();
+        this.wrapCells();
+        this.nextPhaseTime();
+
+    }
+
+
+    // getCellData returns the newest cells as an array of numbers,
+    // without the gutter, compatible with JSON.
+    getCellData(): number[] {
+
+        var cellData: number[] = [];
+        var cellWidth = this.cellWidth;
+        var cellHeight = this.cellHeight;
+        var cellGutter = this.cellGutter;
+        var cellIndex = (cellGutter * this.cellBufferWidth) + cellGutter;
+        var cells = this.getNextCells();
+
+        for (var cellY = 0;
+             cellY < cellHeight;
+             cellY++) {
+
+            for (var cellX = 0;
+                 cellX < cellWidth;
+                 cellX++) {
+
+                cellData.push(cells[cellIndex]);
+                cellIndex++;
+
+            }
+
+            cellIndex += 2 * cellGutter;
+
+        }
+
+        return cellData;
+    }
+
+
+    // wrapCells fills the gutter around the edges of the current
+    // cells, according to the topology, so the neighborhood functions
+    // can read past the edges without checking for edge conditions.
+    wrapCells(): void {
+
+        var cells = this.getCells();
+        var cellWidth = this.cellWidth;
+        var cellHeight = this.cellHeight;
+        var cellGutter = this.cellGutter;
+        var cellBufferWidth = this.cellBufferWidth;
+        var cellBufferHeight = this.cellBufferHeight;
+        var topologyDict = this.topologies.get(this, this.topologySymbol);
+        if (!topologyDict) {
+            throw new Error('CellEngine.wrapCells: unknown topology ' + this.topologySymbol);
+        }
+        var edge = topologyDict.edge;
+        var flipXAcrossY = topologyDict.flipXAcrossY;
+        var flipYAcrossX = topologyDict.flipYAcrossX;
+        var topologyBorderCell = this.topologyBorderCell;
+
+        for (var bufferY = 0;
+             bufferY < cellBufferHeight;
+             bufferY++) {
+
+            var cellY = bufferY - cellGutter;
+            var crossY = (cellY < 0) || (cellY >= cellHeight);
+
+            // Inside rows only have gutter on the left and right,
+            // so skip over the cells between them.
+            var bufferXStep =
+                crossY
+                    ? 1
+                    : cellWidth + 1;
+
+            for (var bufferX = 0;
+                 bufferX < cellBufferWidth;
+                 bufferX += (bufferX == (cellGutter - 1)) ? bufferXStep : 1) {
+
+                var cellIndex = bufferX + (bufferY * cellBufferWidth);
+
+                if (edge == 'constant') {
+                    cells[cellIndex] = topologyBorderCell;
+                    continue;
+                }
+
+                var cellX = bufferX - cellGutter;
+                var crossX = (cellX < 0) || (cellX >= cellWidth);
+                var fromX = wrapCoordinate(cellX, cellWidth, edge);
+                var fromY = wrapCoordinate(cellY, cellHeight, edge);
+
+                if (crossY && flipXAcrossY) {
+                    fromX = cellWidth - 1 - fromX;
+                }
+
+                if (crossX && flipYAcrossX) {
+                    fromY = cellHeight - 1 - fromY;
+                }
+
+                cells[cellIndex] =
+                    cells[(fromX + cellGutter) +
+                          ((fromY + cellGutter) * cellBufferWidth)];
+
+            }
+
+        }
+
+    }
+
+
+    // compileRule compiles the rule's ruleTable or ruleFunction into
+    // the ruleTableBytes lookup table, indexed by the bits of the
+    // neighbors of its neighborhood. The table is cached in the rule.
+    compileRule(ruleDict: Rule): void {
+
+        if (ruleDict.ruleTableBytes) {
+            return;
+        }
+
+        var neighborhoodDict = this.neighborhoods.get(this, ruleDict.neighborhood);
+        if (!neighborhoodDict ||
+            !neighborhoodDict.neighbors) {
+            throw new Error('CellEngine.compileRule: rule ' + ruleDict.symbol +
+                            ' has no lookup table neighborhood ' + ruleDict.neighborhood);
+        }
+
+        var neighbors = neighborhoodDict.neighbors;
+        var neighborCount = neighbors.length;
+        var ruleTableSize = 1 << neighborCount;
+        var ruleTableBytes =
+            new Uint8Array(new ArrayBuffer(ruleTableSize));
+
+        if (ruleDict.ruleTable) {
+
+            ruleTableBytes.set(ruleDict.ruleTable);
+
+        } else if (ruleDict.ruleFunction) {
+
+            var ruleFunction = ruleDict.ruleFunction;
+            var state: CellState = {};
+
+            // Call the ruleFunction on every combination of neighbor
+            // values, unpacked from the bits of the table index.
+            for (var index = 0;
+                 index < ruleTableSize;
+                 index++) {
+
+                for (var line = 0, bit = 1;
+                     line < neighborCount;
+                     line++, bit <<= 1) {
+
+                    state[neighbors[line]] =
+                        (index & bit) ? 1 : 0;
+
+                }
+
+                ruleTableBytes[index] =
+                    ruleFunction(ruleDict, state) & 0xff;
+
+            }
+
+        }
+
+        ruleDict.ruleTableBytes = ruleTableBytes;
+
+    }
+
+
+    // applyRule applies the current rule stepsPerFrame times.
+    applyRule(): void {
+
+        var ruleDict = this.rules.get(this, this.ruleSymbol);
+        if (!ruleDict) {
+            throw new Error('CellEngine.applyRule: unknown rule ' + this.ruleSymbol);
+        }
+
+        var neighborhoodDict = this.neighborhoods.get(this, ruleDict.neighborhood);
+        if (!neighborhoodDict) {
+            throw new Error('CellEngine.applyRule: rule ' + ruleDict.symbol +
+                            ' has unknown neighborhood ' + ruleDict.neighborhood);
+        }
+
+        var stepsPerFrame = this.stepsPerFrame;
+
+        if (stepsPerFrame < 1.0) {
+            if ((stepsPerFrame == 0) ||
+                (Math.random() >= stepsPerFrame)) {
+                return;
+            }
+        }
+
+        for (var frameStep = 0;
+             frameStep < stepsPerFrame;
+             frameStep++) {
+
+            this.nextPhaseTime();
+            this.wrapCells();
+
+            neighborhoodDict.neighborhoodFunction.call(
+                this, neighborhoodDict, ruleDict);
+
+            this.stepCount++;
+        }
+
+    }
+
+
+    // step applies the rule stepCount times (default 1), regardless
+    // of stepsPerFrame. Returns this, so calls can be chained.
+    step(stepCount?: number): CellEngine {
+
+        if (stepCount === undefined) {
+            stepCount = 1;
+        }
+
+        var stepsPerFrame = this.stepsPerFrame;
+        this.stepsPerFrame = 1;
+
+        try {
+
+            for (var i = 0;
+                 i < stepCount;
+                 i++) {
+
+                this.applyRule();
+
+            }
+
+        } finally {
+
+            this.stepsPerFrame = stepsPerFrame;
+
+        }
+
+        return this;
+    }
+
 }
 
 
+////////////////////////////////////////////////////////////////////////
+
+
+export {
+    TypeSymbol,
+    Cells,
+    CellState,
+    ParamsUsed,
+    TypeObject,
+    Neighborhood,
+    NeighborhoodFunction,
+    Rule,
+    RuleFunction,
+    Color,
+    Fade,
+    ColorMap,
+    ActiveTool,
+    Tool,
+    ToolFunction,
+    ToolBeginEndFunction,
+    TopologyEdge,
+    Topology,
+    ParamType,
+    ParamMetaData,
+    TypeRegistry,
+    CellEngineParams,
+    CellEngine
+};
+
+
 ////////////////////////////////////////////////////////////////////////